@@ -1,12 +1,53 @@
-// bot.js — POS bot: /sale (Name/Table + Payment + Amount) + PayNow QR (+3%) + /history + /report
+// bot.js — POS bot: /sale (Recipient/Table/Set + Payment + Amount) + PayNow QR (+surcharge) + /history + /report
 // Highlights in this version:
-// • SINGLE FIELD: “Name / Table” (operator types one line; we store it as `name`)
-// • QR charges base × 1.03 (e.g., 100 → 103.00), but /history and /report show NET (base, without 3%)
-// • Inactivity auto-expire for /sale (2 min); QR posts auto-delete (2 min)
-// • First start asks Name → Company (Lunar/Wave/Ion/101)
-// • Company-based TxnID (L/W/I/1 + 3 digits) with noon reset; Bill Ref "TxnID - Operator - Name" (≤25)
-// • /history (QR/Cash/All, last 10 hours, per-operator) — shows NET
-// • /report (admin): Company → Individual/All → (if Individual) pick Operator; table + CSV to admin group, includes TxnID & Name and a NET subtotal
+// • Sale fields: Recipient (admin roster via /roster, inline search), Table and Set (floor plan via /floor);
+//   `name` keeps a "Recipient @ Table" label for display; reports add per-recipient and per-table totals
+// • /order: multi-line order for one table — cart of recipient/set/amount lines, one TxnID and one combined QR;
+//   lines are stored on the sale and reports list them per recipient
+// • Pricing rules (/pricing, admin): surcharge per company × method (default QR +3%: 100 → 103.00), min/max, preset buttons;
+//   /history and /report show NET (base, without surcharge); each sale stores the pricing version it used
+// • Each QR pays into the operator's company PayNow account (UEN/mobile, merchant name/city from the registry);
+//   payloads are encoded by lib/sgqr.js (SGQR/EMVCo encoder, decoder and validator)
+// • Inactivity auto-expire for /sale (2 min). QRs expire after QR_EXPIRY_MIN (2): the payload carries the expiry date,
+//   the sale records issue/expiry times, the photo is removed with a "Regenerate QR" button (same TxnID) if still
+//   unpaid, and bank credits paid after expiry are flagged late
+// • Wizard sessions persist in DATA_DIR/sessions (lib/sessions.js, SESSION_DRIVER file|memory) with stored deadlines,
+//   so open sales survive restarts; stale buttons say the session expired. One instance at a time: the store and
+//   TxnID reservations are in-process, so don't run two bots on the same data
+// • First start asks Name → Company (from the company registry; admins manage it with /companies and /company),
+//   then waits for approval by an owner or that company's manager
+// • Roles (owner, manager, operator, viewer) in the DB, managed with /roles and /role; ADMIN_IDS are owners.
+//   Every command/callback is checked against its permission; managers/viewers only see their own company
+// • /profile: rename yourself, request a company change (approved by the new company's manager);
+//   /operator deactivate|reactivate|merge (managers). Sales keep the name/company they were recorded under
+// • TxnID = company prefix + shift date + counter (format via /txnformat), unique across history and only
+//   used up when the sale is recorded; /txn <id> shows one sale in full. Bill Ref "TxnID - Operator - Name" (≤25)
+// • /history [search]: own sales for this shift / previous shift / last 7 days, QR/Cash/All, paged in one message
+//   with count, NET and charged totals per method; searches TxnID, name, recipient and table
+// • /report (admin): Company → Individual/All → (if Individual) pick Operator → Period (shift, previous shift, week,
+//   month, custom dates; noon shift boundary); table + CSV to admin group, includes TxnID & Name and a NET subtotal
+// • Times: sales store UTC ISO instants; shifts, TxnID resets and display are Asia/Singapore (lib/time.js),
+//   whatever the server TZ. Old locale-string timestamps are repaired on start
+// • Storage: journaled store in DATA_DIR (lib/storage.js); legacy sales-log.json is migrated on first start
+// • /void TxnID reason (operator, within VOID_WINDOW_MIN, admin approves) and /refund TxnID [amount] reason (admin);
+//   originals are kept, reversals are audited in DB.reversals and history/report/CSV totals are net of them
+// • /shift_open [float] and /shift_close <counted cash> per operator: settlement (cash vs QR, net, surcharge, over/short)
+//   is posted to the admin group and the shift's sales are locked
+// • Scheduled reports (/schedule, admin): end-of-shift summary, daily per-company breakdown and weekly rollup
+//   to the admin group at set SGT times; survive restarts and never post the same occurrence twice
+// • Commissions (/commission, admin): tiered rates per company / operator / recipient on NET sales;
+//   /payouts PERIOD renders a payout statement + CSV, each line markable as paid
+// • Webhook (CLOUD_RUN_URL) verifies Telegram's secret token and drops redelivered update_ids; without it the bot
+//   long-polls. SIGTERM/SIGINT finish running updates and flush the store before exit
+// • REST API on the same server: GET /api/sales, /api/sales/:txnId, /api/reports/summary, /api/users with
+//   per-integration keys (/apikey, admin), pagination (sales: order=asc|desc) and CSV (Accept: text/csv)
+// • Web dashboard at /dashboard (Telegram login or DASHBOARD_PASSWORD): live sales with paid/unpaid/void status,
+//   company/operator totals, cash vs QR, hourly chart for the shift, CSV of any filtered view
+// • Payment reconciliation: bank credits (POST /bank/notify webhook or /bankimport CSV) mark QR sales paid/underpaid; /unpaid (admin)
+// • /staticqr (admin): printable static PayNow QRs per table or company (any or fixed amount), PDF sheet with labels;
+//   each has a stable reference, and every credit against it is recorded as a sale of that company/table
+// • Customer receipts: PDF in chat after a cash sale or a paid QR, with a short-lived public link (/r/<token>,
+//   RECEIPT_LINK_MIN) shown as a QR for the customer; reprint from /history or /receipt TxnID
 //
 // Requirements: Node 18+, "type":"module" in package.json
 // Install: npm i telegraf qrcode dotenv
@@ -16,7 +57,22 @@ import { Telegraf } from 'telegraf';
 import QRCode from 'qrcode';
 import fs from 'fs/promises';
 import path from 'path';
+import { createHash, timingSafeEqual } from 'crypto';
 import express from 'express';
+import { openStore, set, unset, merge, push, patch } from './lib/storage.js';
+import { DEFAULT_RULES, METHODS, resolveRule, quote, clampAmount, describeSurcharge, validateRule } from './lib/pricing.js';
+import { SALE_STATUS, CREDIT_STATUS, saleClosed, parseBankNotification, parseBankCsv, creditKey, findSaleForCredit, findStaticQrForCredit, settlementStatus } from './lib/reconcile.js';
+import { SHIFT_START_HOUR, sgParts, sgTime, addDays, shiftStart, fmtSg, stampSg, parseSaleTime, timestampRepairs } from './lib/time.js';
+import { PAYEE_KINDS, emptyCommission, parseTiers, describeTiers, computePayouts } from './lib/commission.js';
+import { DATE_PARTS, WIDTH_MIN, WIDTH_MAX, defaultTxnFormat, parseTxnFormat, describeTxnFormat, createTxnIds } from './lib/txnid.js';
+import { ROLES, grantableRoles, effectiveRole, hasPermission, inCompanyScope } from './lib/rbac.js';
+import { openSessions, isExpired } from './lib/sessions.js';
+import { POI, encodePayNow, buildPayNowAccount } from './lib/sgqr.js';
+import { renderQrSheetPdf } from './lib/qrsheet.js';
+import { renderReceiptPdf, renderReceiptHtml, receiptToken, readReceiptToken } from './lib/receipt.js';
+import { newApiKey, findApiKey, parseApiTime, parsePage, paginate, toCsv } from './lib/api.js';
+import { SESSION_TTL_MS, signSession, readSession, sessionCookie, verifyTelegramLogin, passwordMatches, renderLoginPage, renderDashboardPage } from './lib/dashboard.js';
+import { SCHEDULE_KINDS, WEEKDAYS, parseClock, parseWeekday, latestOccurrence, occurrenceKey, dueOccurrence, scheduleWindow } from './lib/schedule.js';
 
 // ────────────────────────────────────────────────────────────────────────────
 // ENV / constants
@@ -24,6 +80,16 @@ import express from 'express';
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 if (!BOT_TOKEN) throw new Error('Missing TELEGRAM_BOT_TOKEN');
 const PORT = process.env.PORT || 8080;
+const WEBHOOK_URL = process.env.CLOUD_RUN_URL; // e.g., https://your-service-xyz.a.run.app — unset = long polling
+// Secret Telegram echoes on every webhook call; derived from the token when not set, so it survives restarts and redeploys
+const WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || createHash('sha256').update(`webhook:${BOT_TOKEN}`).digest('hex');
+const SHUTDOWN_GRACE_MS = 8 * 1000;
+const DASHBOARD_PASSWORD = process.env.DASHBOARD_PASSWORD || ''; // owner sign-in for /dashboard (Telegram login works without it)
+const DASHBOARD_SECRET = createHash('sha256').update(`dashboard:${BOT_TOKEN}`).digest(); // signs dashboard cookies
+const RECEIPT_SECRET = createHash('sha256').update(`receipt:${BOT_TOKEN}`).digest(); // signs public receipt links
+const RECEIPT_LINK_MS = Number(process.env.RECEIPT_LINK_MIN || 30) * 60 * 1000; // how long a customer receipt link works
+// Base URL customers open receipt links on (PUBLIC_URL, else the webhook URL, else this machine)
+const PUBLIC_URL = (process.env.PUBLIC_URL || WEBHOOK_URL || `http://localhost:${PORT}`).replace(/\/+$/,'');
 
 const MODE = (process.env.PAYNOW_MODE || 'uen').toLowerCase(); // 'uen' | 'mobile'
 const UEN = process.env.PAYNOW_UEN || '';
@@ -33,31 +99,153 @@ const MERCHANT_CITY = process.env.MERCHANT_CITY || 'Singapore';
 
 const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
 const ADMIN_CHAT_ID = process.env.ADMIN_CHAT_ID || null;
+const BANK_WEBHOOK_SECRET = process.env.BANK_WEBHOOK_SECRET || ''; // shared secret for POST /bank/notify
 
-const QR_LIFETIME_MS = 2 * 60 * 1000;       // QR auto delete
-const SALE_IDLE_TIMEOUT_MS = 2 * 60 * 1000; // sale session expire
-const MIN_AMOUNT = 100;                     // base minimum before +3%
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'journal'; // 'journal' | 'memory'
+const DATA_DIR = process.env.DATA_DIR || './data';
 
-const date = new Date();
+const QR_LIFETIME_MS = Number(process.env.QR_EXPIRY_MIN || 2) * 60 * 1000; // QR validity: payload expiry, photo auto delete, late cut-off
+const SALE_IDLE_TIMEOUT_MS = 2 * 60 * 1000; // sale session expire
+const SESSION_IDLE_MS = 30 * 60 * 1000;     // other wizards (report, sign-up, bank import)
+const SESSION_SWEEP_MS = 15 * 1000;         // how often expired sessions and QRs are cleaned up
+const SESSION_DRIVER = process.env.SESSION_DRIVER || (STORAGE_DRIVER==='memory' ? 'memory' : 'file'); // 'file' | 'memory'
+const VOID_WINDOW_MS = Number(process.env.VOID_WINDOW_MIN || 15) * 60 * 1000; // operators may request /void within this window
 
 // ────────────────────────────────────────────────────────────────────────────
 const bot = new Telegraf(BOT_TOKEN);
 
 // ────────────────────────────────────────────────────────────────────────────
-// DB
+// DB (lib/storage.js) — DB is the store's in-memory view; write only through store.*
+// ────────────────────────────────────────────────────────────────────────────
+const LEGACY_DB_PATH = path.resolve('./sales-log.json'); // migrated once on first start
+// DB = { users:{uid:{nickname,company}},
+//        sales:[{id, type:'single'|'multi', recipient, table, set, lines?:[{recipient,set,amountBase}], name (display), ...}],
+//        companies:{ [id]:{ id, name, prefix, paynow:{mode,uen,mobile}, merchantName, merchantCity, active } },
+//        counters:{ ['companyId|DATEPART:value']:n }, txnFormat:{ date:'none'|'YYMMDD'|'YYYYMMDD'|'MMDD', width, separator } (lib/txnid.js),
+//        pricing:{ version, rules:{ default:{...}, [companyId]:{...} }, history:[{version, at, by, rules}] },
+//        reversals:[{id, kind:'void'|'refund', status:'requested'|'approved'|'rejected', saleId, transactionId, amount, amountBase, reason, requestedBy, decidedBy, ...}],
+//        payments:[{key, amount, reference, paidAt, bankRef, payer, source, status, saleId, transactionId, receivedAt}],
+//        shifts:[{id, operatorId, operator, company, status:'open'|'closed', openingFloat, openedAt, closedAt, settlement:{byMethod, count, net, surcharge, expectedCash, counted, diff}}],
+//        schedules:{ [id]:{ id, kind:'shift'|'daily'|'weekly', time:'HH:mm', weekday?, enabled, lastRunKey, lastRunAt } },
+//        (users also carry role:'owner'|'manager'|'operator'|'viewer', status:'pending'|'active'|'revoked'|'deactivated'|'merged'
+//         — lib/rbac.js — plus pendingCompany (awaiting approval) and mergedInto)
+//        roster:{ [id]:{ id, name, company|null (null = all companies), active } },
+//        floor:{ tables:[...], sets:[...] },
+//        commission:{ operator|recipient:{ default:tiers, companies:{[id]:tiers}, people:{[operatorId|name]:tiers} } },
+//        payouts:[{id, range:{from,to,label}, createdBy, createdAt, lines:[{kind, person, label, company, count, volume, tiers, amount, status:'due'|'paid', paidAt, paidBy}]}],
+//        apiKeys:{ [id]:{ id, name, hash (sha256), companies|null, createdAt, createdBy, lastUsedAt, revokedAt } } (lib/api.js),
+//        staticQrs:{ [id]:{ id, company, table|null, amount|null, reference, active, createdAt, createdBy } } (/staticqr),
+//        meta:{ nextSaleId, nextScheduleId, nextRosterId, nextApiKeyId, nextStaticQrId } }
+const store = await openStore({ driver:STORAGE_DRIVER, dir:DATA_DIR, legacyFile:LEGACY_DB_PATH });
+const DB = store.data;
+
+// Sale times are UTC ISO instants. Older QR sales stored toLocaleString('en-SG') text, which
+// new Date() can't read (they vanished from /history and /report); re-parse those as SGT once.
+{
+  const repairs=timestampRepairs(DB.sales);
+  const fixable=repairs.filter(r=>r.timestamp);
+  if (fixable.length){
+    await store.commit(fixable.map(r=>patch('sales', r.id, { timestamp:r.timestamp })));
+    console.log(`storage: repaired ${fixable.length} sale timestamp(s)`);
+  }
+  for (const r of repairs.filter(r=>!r.timestamp)) console.warn(`storage: sale #${r.id} has an unreadable timestamp: ${JSON.stringify(r.from)}`);
+}
+// Users who registered before roles existed keep working as operators
+{
+  const old=Object.entries(DB.users).filter(([,u])=>u.status===undefined && u.nickname);
+  if (old.length) await store.commit(old.map(([id,u])=>merge(['users',id], { role:u.role || 'operator', status:'active' })));
+}
+// The first bot version stored girl/table/set separately; map them onto recipient/table/set
+{
+  const old=DB.sales.filter(s=>s.girl!==undefined && s.recipient===undefined);
+  if (old.length) await store.commit(old.map(s=>patch('sales', s.id, { recipient:s.girl, table:s.table ?? null, set:s.set ?? null, name:s.name ?? `${s.girl} @ ${s.table ?? '-'}` })));
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// Company registry — keyed by a stable id (sales/users/counters store the id; name is display only)
+// ────────────────────────────────────────────────────────────────────────────
+const LEGACY_COMPANIES = [ ['Lunar','L'], ['Wave','W'], ['Ion','I'], ['101','1'] ];
+if (!Object.keys(DB.companies).length){
+  const seed={};
+  LEGACY_COMPANIES.forEach(([id,prefix],order)=>{
+    seed[id]={ id, name:id, prefix, order, paynow:{ mode:MODE, uen:UEN, mobile:MOBILE }, merchantName:MERCHANT_NAME, merchantCity:MERCHANT_CITY, active:true };
+  });
+  await store.commit([ set(['companies'], seed) ]);
+}
+function getCompany(id){ return id ? (DB.companies[id] || null) : null; }
+function companyName(id){ return getCompany(id)?.name || id || ''; }
+// Object key order would put numeric ids ('101') first, so keep an explicit display order
+function listCompanies(){ return Object.values(DB.companies).sort((a,b)=>(a.order??0)-(b.order??0)); }
+function activeCompanies(){ return listCompanies().filter(c=>c.active); }
+// Inline keyboard of companies; callback_data = `${cbPrefix}${id}`
+function companyKeyboard(cbPrefix, { companies=activeCompanies(), perRow=4, extraRows=[] }={}){
+  const rows=[];
+  for (let i=0;i<companies.length;i+=perRow){
+    rows.push(companies.slice(i,i+perRow).map(c=>({ text: c.active?c.name:`${c.name} (inactive)`, callback_data:`${cbPrefix}${c.id}` })));
+  }
+  return { inline_keyboard:[...rows, ...extraRows] };
+}
+// Ids are used in callback_data, so keep them short and alphanumeric
+function newCompanyId(name){
+  const base=String(name).replace(/[^A-Za-z0-9]/g,'').slice(0,16) || 'Company';
+  let id=base, n=2; while (DB.companies[id]) id=`${base}${n++}`;
+  return id;
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// Pricing rules (lib/pricing.js) — versioned; edited with /pricing
 // ────────────────────────────────────────────────────────────────────────────
-const DB_PATH = path.resolve('./sales-log.json');
-// DB = { users:{uid:{nickname,company}}, sales:[...],
-//        counters:{date:'YYYY-MM-DD-noon', Lunar:0, Wave:0, Ion:0, '101':0 } }
-let DB = { users:{}, sales:[], counters:{ date:null, Lunar:0, Wave:0, Ion:0, '101':0 } };
+if (!DB.pricing?.version){
+  await store.commit([ set(['pricing'], { version:1, rules:DEFAULT_RULES, history:[{ version:1, at:new Date().toISOString(), by:'system', rules:DEFAULT_RULES }] }) ]);
+}
+if (!DB.commission) await store.commit([ set(['commission'], emptyCommission()) ]);
+if (!DB.txnFormat) await store.commit([ set(['txnFormat'], defaultTxnFormat()) ]);
+// Counters used to be { date:'YYYY-MM-DD-noon', [companyId]:n }, reset at noon; they are now keyed by company + date part
+if (DB.counters.date!==undefined) await store.commit([ set(['counters'], {}) ]);
+function rangeText(rule){ return rule.max===null ? `min ${rule.min}` : `${rule.min}–${rule.max}`; }
 
-async function loadDB() {
-  try { DB = JSON.parse(await fs.readFile(DB_PATH, 'utf8')); }
-  catch { DB = { users:{}, sales:[], counters:{ date:null, Lunar:0, Wave:0, Ion:0, '101':0 } }; }
-  if (!DB.counters) DB.counters = { date:null, Lunar:0, Wave:0, Ion:0, '101':0 };
+// ────────────────────────────────────────────────────────────────────────────
+// Access control (lib/rbac.js) — roles on DB.users, ADMIN_IDS are bootstrap owners.
+// The guard below checks every command/callback against its permission before any handler runs;
+// handlers still check company scope themselves.
+// ────────────────────────────────────────────────────────────────────────────
+function userRole(uid){ return effectiveRole(DB.users[String(uid)], uid, ADMIN_IDS); }
+function can(uid, perm){ return hasPermission(userRole(uid), perm); }
+function inScope(uid, companyId){ return inCompanyScope(userRole(uid), DB.users[String(uid)], companyId); }
+function accessNote(uid){
+  const u=DB.users[String(uid)];
+  if (u?.status==='pending') return '⏳ Your access is waiting for approval by a manager.';
+  if (u?.status==='revoked') return '🚫 Your access has been revoked. Ask a manager if this is a mistake.';
+  if (u?.status==='deactivated') return '⏸ Your account is deactivated. Ask a manager to reactivate it.';
+  if (u?.status==='merged') return `🔗 This account was merged into another one (${u.mergedInto}). Please use that account.`;
+  return '🚫 You are not authorized to do that.';
 }
-async function saveDB() { await fs.writeFile(DB_PATH, JSON.stringify(DB, null, 2)); }
-await loadDB();
+const COMMAND_PERMS = {
+  profile:'profile', order:'sale', history:'sale', receipt:'sale', void:'sale', shift_open:'sale', shift_close:'sale', // /sale checks after sign-up
+  report:'report', refund:'refund', roles:'users', role:'users', operator:'users',
+  bankimport:'reconcile', unpaid:'reconcile',
+  companies:'configure', company:'configure', txnformat:'configure', apikey:'configure', staticqr:'configure', pricing:'configure', schedule:'configure',
+  roster:'configure', floor:'configure', commission:'configure', payouts:'configure'
+};
+const CALLBACK_PERMS = [
+  [/^(sale_|amt_|rcp_|set_|tbl_|hist_|qr_|receipt_)/, 'sale'],
+  [/^rep_/, 'report'],
+  [/^prof_co_/, 'profile'],
+  [/^void_(ok|no)_/, 'approve'],
+  [/^bank_/, 'reconcile'],
+  [/^(usr|pco)_(ok|no)_/, 'users']
+];
+bot.use(async (ctx, next)=>{
+  if (!ctx.from) return next();
+  const uid=String(ctx.from.id);
+  const cmd=ctx.message?.text?.match(/^\/(\w+)(?:@\w+)?/)?.[1];
+  const perm = cmd ? COMMAND_PERMS[cmd]
+    : ctx.callbackQuery?.data ? CALLBACK_PERMS.find(([re])=>re.test(ctx.callbackQuery.data))?.[1]
+    : null;
+  if (!perm || can(uid, perm)) return next();
+  if (ctx.callbackQuery) return ctx.answerCbQuery(accessNote(uid), { show_alert:true });
+  return ctx.reply(accessNote(uid));
+});
 
 // ────────────────────────────────────────────────────────────────────────────
 // Utils / helpers
@@ -65,168 +253,313 @@ await loadDB();
 function fmt(n) { return Number(n).toFixed(2); }
 async function tryDelete(ctx, mid) { if (!mid) return; try { await ctx.deleteMessage(mid); } catch {} }
 
-// SGQR helpers
-function tlv(id, value){ const v=String(value); const len=v.length.toString().padStart(2,'0'); return id+len+v; }
-function crc16ccitt(str){
-  let crc=0xffff;
-  for(let i=0;i<str.length;i++){
-    crc^=str.charCodeAt(i)<<8;
-    for(let b=0;b<8;b++){ crc=(crc&0x8000)?((crc<<1)^0x1021):(crc<<1); crc&=0xffff; }
-  }
-  return crc.toString(16).toUpperCase().padStart(4,'0');
-}
-function buildMAI_PayNow({ mode, uen, mobile, editable=false, expiry }){
-  const gui = tlv('00','SG.PAYNOW'); let proxyType, proxyValue;
-  if (mode==='mobile'){
-    proxyType = tlv('01','0');
-    // Normalize to 8-digit local number (DBS/GXS strict)
-    const digits = String(mobile||'').replace(/[^\d]/g,'');
-    const local8 = digits.length===8 ? digits
-      : (digits.startsWith('65') && digits.length===10 ? digits.slice(2)
-        : (digits.startsWith('065') && digits.length===11 ? digits.slice(3)
-          : (digits.startsWith('0065') && digits.length===12 ? digits.slice(4) : null)));
-    if (!local8 || !/^[89]\d{7}$/.test(local8)) throw new Error('Invalid PAYNOW_MOBILE');
-    proxyValue = tlv('02', local8);
-  } else {
-    proxyType = tlv('01','2');
-    if (!uen) throw new Error('PAYNOW_UEN required for UEN mode');
-    proxyValue = tlv('02', uen);
-  }
-  const editableFlag = tlv('03', editable?'1':'0');
-  const parts = [gui, proxyType, proxyValue, editableFlag]; if (expiry) parts.push(tlv('04',expiry));
-  return tlv('26', parts.join(''));
-}
-function buildPayNowPayload({ mode=MODE, uen=UEN, mobile=MOBILE, amount, reference='', merchantName=MERCHANT_NAME, merchantCity=MERCHANT_CITY, editable=false, expiry }){
-  if (!(amount>0)) throw new Error('Amount must be > 0');
-  const id00 = tlv('00','01');
-  const id01 = tlv('01','12');
-  const id26 = buildMAI_PayNow({ mode, uen, mobile, editable, expiry });
-  const id52 = tlv('52','0000');
-  const id53 = tlv('53','702'); // SGD
-  const id54 = tlv('54', Number(amount).toFixed(2));
-  const id58 = tlv('58','SG');
-  const id59 = tlv('59', MERCHANT_NAME.slice(0,25));
-  const id60 = tlv('60', MERCHANT_CITY || 'Singapore');
-  const bill = tlv('01', String(reference||'').slice(0,25));
-  const id62 = tlv('62', bill);
-  const body = id00+id01+id26+id52+id53+id54+id58+id59+id60+id62;
-  const crc = crc16ccitt(body+'63'+'04');
-  return body + tlv('63', crc);
-}
-async function generatePayNowQR({ amount, reference }){
-  const payload = buildPayNowPayload({ amount, reference });
-  return await QRCode.toBuffer(payload, { margin:1, scale:8, errorCorrectionLevel:'M' });
-}
-
-// history helpers (10h)
-function tenHoursAgoMs(){ return Date.now() - (10*60*60*1000); }
-function filterMySales(uid, payment){
-  const cut=tenHoursAgoMs();
-  return DB.sales.filter(s=>{
-    const ts=new Date(s.timestamp).getTime();
-    if (isNaN(ts)||ts<cut) return false;
-    if (String(s.operatorId||'')!==String(uid)) return false;
-    return payment==='ALL' ? true : s.payment===payment;
-  }).sort((a,b)=>new Date(b.timestamp)-new Date(a.timestamp));
+// SGQR / PayNow payloads: lib/sgqr.js
+// Receiving account comes from the operator's company (see /company paynow)
+function payNowPayload(company, opts){
+  const { mode, uen, mobile }=company.paynow||{};
+  return encodePayNow({ mode, uen, mobile, merchantName:company.merchantName || MERCHANT_NAME, merchantCity:company.merchantCity || MERCHANT_CITY, ...opts });
 }
-async function replyBig(ctx, html){
-  const MAX=3500; if (html.length<=MAX) return ctx.reply(html,{parse_mode:'HTML'});
-  for(let i=0;i<html.length;i+=MAX){ await ctx.reply(html.slice(i,i+MAX),{parse_mode:'HTML'}); }
-}
-function renderHistoryChunk(sales, operator){
-  if (!sales.length) return `📭 No sales for ${operator} in the last 10 hours.`;
-  let out = `📜 <b>Sales for ${operator} (last 10h)</b>\n\n`;
-  for (let i=0;i<sales.length;i++){
-    const s=sales[i];
-    const date=new Date(s.timestamp).toLocaleString('en-SG',{hour12:false,year:'numeric',month:'2-digit',day:'2-digit',hour:'2-digit',minute:'2-digit'});
-    const net = (s.amountBase ?? s.amount ?? 0); // show NET (without 3%)
-    out += `${i+1}. ${s.name || '-'} | ${s.payment}\n`;
-    out += `   Amount (net): <b>SGD ${fmt(net)}</b> | Txn: <code>${s.transactionId || '-'}</code>\n`;
-    if (s.payment==='QR Code' && s.reference) out += `   Ref: <code>${s.reference}</code>\n`;
-    out += `   Date: ${date}\n\n`;
+function qrImage(payload){ return QRCode.toBuffer(payload, { margin:1, scale:8, errorCorrectionLevel:'M' }); }
+async function generatePayNowQR({ company, amount, reference, expiresAt }){
+  return await qrImage(payNowPayload(company, { amount, reference, expiry:expiresAt }));
+}
+// Each QR is valid for QR_LIFETIME_MS. The payload carries the expiry date (PayNow's tag 04 is day-granular, so
+// banks only refuse it from the next day); the exact cut-off is stored on the sale and later credits are flagged late.
+function qrWindow(now=Date.now()){ return { qrIssuedAt:new Date(now).toISOString(), qrExpiresAt:new Date(now+QR_LIFETIME_MS).toISOString() }; }
+function qrExpiry(s){ return Date.parse(s.qrExpiresAt) || (parseSaleTime(s.timestamp)+QR_LIFETIME_MS); } // older sales: issue time + lifetime
+function qrExpiryLine(expiresAt){ return `⚠️ This QR expires at ${fmtSg(Date.parse(expiresAt))} (${QR_LIFETIME_MS/60000} min); later payments are flagged.`; }
+// null when the company can receive PayNow, otherwise a user-facing reason
+function payNowConfigError(company){
+  if (!company) return 'Your account has no company set. Use /start to pick one.';
+  try { buildPayNowAccount(company.paynow||{}); return null; }
+  catch(e){ return `${company.name} has no valid PayNow account configured (${e.message}). Ask an admin to set it with /company paynow ${company.id}.`; }
+}
+// "Merchant (UEN 201234567A)" / "Merchant (mobile ••••4567)"
+function payeeLabel(company){
+  const p=company.paynow||{};
+  const proxy = p.mode==='mobile' ? `mobile ••••${String(p.mobile||'').replace(/\D/g,'').slice(-4)}` : `UEN ${p.uen}`;
+  return `${company.merchantName || company.name} (${proxy})`;
+}
+
+// NET value of a sale after approved voids/refunds (see /void, /refund)
+function netBase(s){ return Number(s.amountBase ?? s.amount ?? 0) - Number(s.reversedBase||0); }
+function reversalNote(s){
+  if (s.voided) return 'VOID';
+  return s.reversedAmount ? `REFUND ${fmt(s.reversedAmount)}` : '';
+}
+
+// Settled = money received: cash, a paid QR, or a sale from before statuses existed. Only these get receipts.
+function saleSettled(s){ return s.payment!=='QR Code' || !s.status || s.status===SALE_STATUS.PAID; }
+
+// Text typed by users (e.g. a /history search) inside HTML replies
+function escHtml(s){ return String(s ?? '').replace(/[&<>]/g, c=>({ '&':'&amp;', '<':'&lt;', '>':'&gt;' }[c])); }
+// Long HTML in several messages, cut only between entries so no tag is split. An entry starts at a line that isn't
+// indented (its "   Ref: …" lines and a trailing blank line stay with it); an entry too long on its own is cut
+// between lines. Every list sent through here closes its tags on the line that opens them.
+function splitHtml(html, max){
+  const parts=html.split(/(?<=\n)(?=\S)/).flatMap(e=>e.length>max ? e.split(/(?<=\n)/) : [e]);
+  const out=[]; let cur='';
+  for (const part of parts){
+    if (cur && cur.length+part.length>max){ out.push(cur); cur=''; }
+    cur+=part;
   }
+  if (cur.trim()) out.push(cur);
   return out;
 }
+async function replyBig(ctx, html){
+  for (const chunk of splitHtml(html, 3500)) await ctx.reply(chunk,{parse_mode:'HTML'});
+}
 
-// TxnID helpers (noon boundary reset)
-function resetKeyNoon(){
-  const d=new Date();
-  if (d.getHours()<12) d.setDate(d.getDate()-1);
-  const mm=String(d.getMonth()+1).padStart(2,'0');
-  const dd=String(d.getDate()).padStart(2,'0');
-  return `${d.getFullYear()}-${mm}-${dd}-noon`;
+// ────────────────────────────────────────────────────────────────────────────
+// /history — the operator's own sales, one message edited in place: period, method, search and pages.
+// The whole view is encoded in the buttons ("hist_<period>.<method>.<page>.<search>"), so nothing is kept
+// server-side and old history messages keep working after restarts.
+// ────────────────────────────────────────────────────────────────────────────
+const HISTORY_PERIODS = [ ['shift','This shift'], ['prevshift','Previous shift'], ['7d','Last 7 days'] ];
+const HISTORY_METHODS = [ ['all','All', null], ['qr','QR', 'QR Code'], ['cash','Cash', 'Cash'] ];
+const HISTORY_PAGE_SIZE = 8;
+const HISTORY_QUERY_BYTES = 40; // callback_data is capped at 64 bytes
+function historyRange(period, now=Date.now()){
+  if (period==='7d') return { from:addDays(now,-7), to:now, label:'Last 7 days' };
+  return { ...reportRange(period, now), label:Object.fromEntries(HISTORY_PERIODS)[period] };
+}
+function historyQuery(text){
+  let q=String(text||'').trim().replace(/\s+/g,' ');
+  while (Buffer.byteLength(q)>HISTORY_QUERY_BYTES) q=q.slice(0,-1);
+  return q;
+}
+// TxnID, name, recipient, table and order lines, case-insensitive
+function historyMatches(s, q){
+  if (!q) return true;
+  return [s.transactionId, s.name, s.recipient, s.table, ...(s.lines||[]).map(l=>l.recipient)]
+    .some(v=>String(v||'').toLowerCase().includes(q.toLowerCase()));
 }
-function companyPrefix(company){
-  switch((company||'').toLowerCase()){
-    case 'lunar': return 'L';
-    case 'wave':  return 'W';
-    case 'ion':   return 'I';
-    case '101':   return '1';
-    default:      return 'X';
+function historySales(uid, { period, method, q }){
+  const range=historyRange(period), pay=HISTORY_METHODS.find(([k])=>k===method)?.[2];
+  // open-ended periods also take sales recorded this very moment
+  return store.querySales({ operatorId:uid, since:range.from, until: period==='prevshift' ? range.to : undefined })
+    .filter(s=>(!pay || s.payment===pay) && historyMatches(s, q))
+    .reverse(); // newest first
+}
+// Count, NET (base after voids/refunds) and charged (incl. surcharge, after refunds) per method + overall
+function historyTotals(sales){
+  const t={};
+  for (const s of sales) for (const k of [s.payment, 'all']){
+    const b=(t[k] ||= { count:0, net:0, charged:0 });
+    b.count++; b.net+=netBase(s); b.charged+=Number(s.amount||0)-Number(s.reversedAmount||0);
   }
+  return t;
+}
+function renderHistoryEntry(s, n){
+  const note=reversalNote(s), lines=s.lines||[];
+  let out = `${n}. ${escHtml(s.name || '-')}${s.set?` (${escHtml(s.set)})`:''} | ${s.payment}${note?` | <b>${note}</b>`:''}\n`;
+  out += `   Amount (net): <b>SGD ${fmt(netBase(s))}</b> | Txn: <code>${escHtml(s.transactionId || '-')}</code>\n`;
+  out += lines.slice(0,5).map(l=>`   • ${escHtml(l.recipient)}${l.set?` (${escHtml(l.set)})`:''}: SGD ${fmt(l.amountBase)}\n`).join('');
+  if (lines.length>5) out += `   • …and ${lines.length-5} more\n`;
+  if (s.payment==='QR Code' && s.reference) out += `   Ref: <code>${escHtml(s.reference)}</code>${s.status && s.status!==SALE_STATUS.PAID?` | ${s.status}`:''}\n`;
+  return out + `   Date: ${fmtSg(parseSaleTime(s.timestamp))}\n\n`;
 }
-function nextTxnId(company){
-  const keyDate=resetKeyNoon();
-  if (DB.counters.date!==keyDate){ DB.counters={ date:keyDate, Lunar:0, Wave:0, Ion:0, '101':0 }; }
-  const key = (company==='101') ? '101' : (company||'').charAt(0).toUpperCase()+ (company||'').slice(1).toLowerCase();
-  if (!(key in DB.counters)) DB.counters[key]=0;
-  DB.counters[key] = (DB.counters[key]%999)+1;
-  return `${companyPrefix(company)}${String(DB.counters[key]).padStart(3,'0')}`;
+// view = { period, method, page, q } → { text, keyboard }
+function historyView(uid, view){
+  const operator=DB.users[uid]?.nickname || 'Unknown';
+  const sales=historySales(uid, view), range=historyRange(view.period);
+  const pages=Math.max(1, Math.ceil(sales.length/HISTORY_PAGE_SIZE)), page=Math.min(Math.max(view.page,0), pages-1);
+  const method=HISTORY_METHODS.find(([k])=>k===view.method);
+  let text=`📜 <b>Sales for ${escHtml(operator)}</b> — ${range.label}${view.method!=='all'?` | ${method[1]}`:''}${view.q?` | search “${escHtml(view.q)}”`:''}\n`+
+    `${fmtSg(range.from)} → ${fmtSg(range.to)}\n\n`;
+  if (!sales.length) text += '📭 No matching sales.';
+  else {
+    const t=historyTotals(sales), row=(b)=>`${b.count} | NET SGD ${fmt(b.net)} | charged SGD ${fmt(b.charged)}`;
+    if (t.Cash) text += `💵 Cash: ${row(t.Cash)}\n`;
+    if (t['QR Code']) text += `💳 QR: ${row(t['QR Code'])}\n`;
+    text += `<b>Total: ${row(t.all)}</b>\n\n`;
+    const start=page*HISTORY_PAGE_SIZE;
+    text += sales.slice(start, start+HISTORY_PAGE_SIZE).map((s,i)=>renderHistoryEntry(s, start+i+1)).join('');
+    if (pages>1) text += `Page ${page+1}/${pages}`;
+  }
+
+  const cb=(v)=>`hist_${v.period}.${v.method}.${v.page}.${v.q||''}`;
+  const here={ ...view, page };
+  const rows=[
+    HISTORY_PERIODS.map(([k,l])=>({ text:`${k===view.period?'• ':''}${l}`, callback_data:cb({ ...here, period:k, page:0 }) })),
+    HISTORY_METHODS.map(([k,l])=>({ text:`${k===view.method?'• ':''}${l}`, callback_data:cb({ ...here, method:k, page:0 }) }))
+  ];
+  const nav=[];
+  if (page>0) nav.push({ text:'◀ Prev', callback_data:cb({ ...here, page:page-1 }) });
+  if (page<pages-1) nav.push({ text:'Next ▶', callback_data:cb({ ...here, page:page+1 }) });
+  if (nav.length) rows.push(nav);
+  // receipt reprints for the settled sales on this page
+  const paid=sales.slice(page*HISTORY_PAGE_SIZE, (page+1)*HISTORY_PAGE_SIZE).filter(saleSettled);
+  for (let i=0;i<paid.length;i+=2) rows.push(paid.slice(i,i+2).map(s=>({ text:`🧾 ${s.transactionId || `#${s.id}`}`, callback_data:`receipt_${s.id}` })));
+  if (view.q) rows.push([{ text:'✖ Clear search', callback_data:cb({ ...here, q:'', page:0 }) }]);
+  return { text, keyboard:{ inline_keyboard:rows } };
 }
+
+// TxnIDs (lib/txnid.js) — unique across history; the counter op is committed with the sale (insertSale extra ops)
+function companyPrefix(companyId){ return getCompany(companyId)?.prefix || 'X'; }
+const txnIds = createTxnIds(DB, companyPrefix);
 function buildReference(txnId, operator, name){ return `${txnId} - ${operator} - ${name}`.slice(0,25); }
 
 // ────────────────────────────────────────────────────────────────────────────
-// /sale state (with inactivity)
+// Sessions (lib/sessions.js) — /sale, /order, /report, sign-up and /bankimport wizards
+// Each update of a user is handled one at a time: the middleware loads the stored session into
+// stepState[uid], runs the handlers and writes it back, so a session outlives a restart. One bot process serves
+// a data dir (the store holds a lock on it, lib/storage.js), so a restart or deploy hands sessions to the next one.
+// Expiry is a stored deadline (expiresAt), enforced on the next update and by a periodic sweep.
 // ────────────────────────────────────────────────────────────────────────────
 /*
 stepState[uid] = {
   mode:'nickname'|'company'|'sale'|'report',
-  awaiting: null|'nick'|'company'|'name'|'amount'|'rep_company'|'rep_scope'|'rep_operator',
+  awaiting: null|'nick'|'company'|'amount'|'recipient'|'recipient_text'|'table'|'set'|'rep_company'|'rep_scope'|'rep_operator'|'rep_period'|'rep_custom',
   promptMsgId:null|number,
   overviewMsgId:null|number,
-  expiryTimer:null|Timeout,
-  fields:{ name, payment, amount },
-  report?:{ company?:string, scope?:'ME'|'ALL' }
+  expiresAt:number,                   // deadline (epoch ms): sale = idle timeout, other wizards SESSION_IDLE_MS
+  chatId:number,                      // where the prompts live (for cleanup on expiry)
+  companyId?:string,                  // sale mode: operator's company (selects the pricing rule)
+  fields:{ recipient, table, set, payment, amount },   // multi-line order: recipient/set/amount are per line
+  pick?:{ query, page },              // roster search state of the open recipient picker
+  multi?:boolean,                     // /order: cart of lines, one TxnID + one QR for the total
+  lines?:[{ recipient, set, amountBase }],
+  draft?:{ recipient, set }|null,     // line being added (recipient → set → amount)
+  report?:{ company?:string, scope?:'ME'|'ALL', operatorId?:string|null }
 }
 */
-const stepState = {};
-function resetSaleTimer(ctx, s){
-  if (s.expiryTimer) clearTimeout(s.expiryTimer);
-  s.expiryTimer = setTimeout(async ()=>{
-    await tryDelete(ctx, s.overviewMsgId);
-    await tryDelete(ctx, s.promptMsgId);
-    delete stepState[String(ctx.from.id)];
-    await ctx.reply('⌛ This sale session expired due to inactivity (2 minutes). Start a new one with /sale.');
-  }, SALE_IDLE_TIMEOUT_MS);
-}
-function touch(ctx,s){ if (s && s.mode==='sale') resetSaleTimer(ctx,s); }
-
-// UI for sale (single Name/Table field)
+const sessions = openSessions({ driver:SESSION_DRIVER, dir:path.join(DATA_DIR,'sessions') });
+const stepState = {}; // sessions of the updates being handled right now
+function resetSaleDeadline(s){ s.expiresAt=Date.now()+SALE_IDLE_TIMEOUT_MS; }
+function touch(ctx,s){ if (s && s.mode==='sale') resetSaleDeadline(s); }
+
+// One update per user at a time on this instance
+const userQueues = new Map();
+function serialized(uid, fn){
+  const p=(userQueues.get(uid) || Promise.resolve()).then(fn);
+  const tail=p.catch(()=>{}); userQueues.set(uid, tail);
+  tail.then(()=>{ if (userQueues.get(uid)===tail) userQueues.delete(uid); });
+  return p;
+}
+async function expireSession(telegram, s, { notify=true }={}){
+  for (const mid of [s.overviewMsgId, s.promptMsgId]) if (mid && s.chatId) { try { await telegram.deleteMessage(s.chatId, mid); } catch {} }
+  if (notify && s.mode==='sale' && s.chatId){
+    try { await telegram.sendMessage(s.chatId, `⌛ This sale session expired due to inactivity (${SALE_IDLE_TIMEOUT_MS/60000} minutes). Start a new one with /sale.`); } catch {}
+  }
+}
+// Buttons that only make sense inside a session → [pattern, mode, command to start again]
+const SESSION_CALLBACKS = [
+  [/^(sale_|amt_|rcp_|set_|tbl_)/, 'sale', '/sale'],
+  [/^rep_/, 'report', '/report'],
+  [/^bank_/, 'bankimport', '/bankimport'],
+  [/^company_/, 'company', '/start']
+];
+bot.use((ctx, next)=>{
+  if (!ctx.from) return next();
+  const uid=String(ctx.from.id);
+  return serialized(uid, async ()=>{
+    let loaded=await sessions.get(uid);
+    if (isExpired(loaded)){
+      const gone=await sessions.take(uid);
+      if (gone) await expireSession(ctx.telegram, gone, { notify:!ctx.callbackQuery });
+      loaded=null;
+    }
+    if (loaded) stepState[uid]=loaded; else delete stepState[uid];
+
+    const data=ctx.callbackQuery?.data;
+    const needs=data && SESSION_CALLBACKS.find(([re])=>re.test(data));
+    if (needs && stepState[uid]?.mode!==needs[1]){
+      delete stepState[uid];
+      return ctx.answerCbQuery(`⌛ This session expired. Start again with ${needs[2]}.`, { show_alert:true });
+    }
+    try { await next(); }
+    finally {
+      const s=stepState[uid]; delete stepState[uid];
+      if (s){
+        s.chatId ??= ctx.chat?.id;
+        if (s.mode==='sale') s.expiresAt ??= Date.now()+SALE_IDLE_TIMEOUT_MS;
+        else s.expiresAt=Date.now()+SESSION_IDLE_MS;
+        await sessions.set(uid, s);
+      } else if (loaded) await sessions.delete(uid);
+    }
+  });
+});
+async function sessionSweep(){
+  for (const { uid } of await sessions.expired()){
+    await serialized(uid, async ()=>{
+      const s=await sessions.take(uid);
+      if (!s) return;
+      if (!isExpired(s)) return sessions.set(uid, s); // refreshed in the meantime
+      await expireSession(bot.telegram, s);
+    });
+  }
+}
+setInterval(()=>sessionSweep().catch(e=>console.error('session sweep failed:', e)), SESSION_SWEEP_MS).unref();
+
+// UI for sale (recipient from the roster, table from the floor plan, optional set;
+// /order keeps a cart of lines instead of one recipient + amount)
+const MAX_ORDER_LINES = 15;
 function saleOverviewText(s){
   const f=s.fields;
+  if (s.multi){
+    const base=saleBase(s);
+    return [
+      '🧺 <b>Creating multi-line flower order</b>',
+      'Add one line per recipient, then take payment once:',
+      '',
+      `• <b>Table</b>: ${f.table?`<code>${escHtml(f.table)}</code>`:'—'}`,
+      `• <b>Payment</b>: ${f.payment?`<code>${f.payment}</code>`:'—'}`,
+      `• <b>Lines</b>: ${s.lines.length?'':'—'}`,
+      ...s.lines.map((l,i)=>`   ${i+1}. ${escHtml(l.recipient)} | ${escHtml(l.set || '-')} | <code>SGD ${fmt(l.amountBase)}</code>`),
+      ...(s.lines.length ? [`• <b>Subtotal</b>: <code>SGD ${fmt(base)}</code>${f.payment?saleTotalNote(s):''}`] : []),
+      ...(orderOverMax(s) ? [`⚠️ ${overMaxText(s)}`] : [])
+    ].join('\n');
+  }
   return [
     '🪷 <b>Creating individual flower sale</b>',
     'Please use the buttons below:',
     '',
-    `• <b>Name / Table</b>: ${f.name?`<code>${f.name}</code>`:'—'}`,
+    `• <b>Recipient</b>: ${f.recipient?`<code>${escHtml(f.recipient)}</code>`:'—'}`,
+    `• <b>Table</b>: ${f.table?`<code>${escHtml(f.table)}</code>`:'—'}`,
+    `• <b>Set</b>: ${f.set?`<code>${escHtml(f.set)}</code>`:'—'}`,
     `• <b>Payment</b>: ${f.payment?`<code>${f.payment}</code>`:'—'}`,
-    `• <b>Amount</b>: ${f.amount?`<code>SGD ${fmt(f.amount)}</code>`:'—'}`
+    `• <b>Amount</b>: ${f.amount?`<code>SGD ${fmt(f.amount)}</code>`:'—'}${f.amount&&f.payment?saleTotalNote(s):''}`
   ].join('\n');
 }
+function saleRule(s){ return resolveRule(DB.pricing.rules, s.companyId); }
+// Base (NET) amount of the session: the single amount, or the cart subtotal
+function saleBase(s){ return s.multi ? Number(s.lines.reduce((a,l)=>a+l.amountBase,0).toFixed(2)) : s.fields.amount; }
+function saleTotalNote(s){
+  const rule=saleRule(s), q=quote(rule, s.fields.payment, saleBase(s));
+  return q.surcharge ? ` (${describeSurcharge(rule.surcharge[s.fields.payment])} → <code>SGD ${fmt(q.total)}</code>)` : '';
+}
+// An order's lines are each clamped when added, but their subtotal can still pass the rule's max
+function orderOverMax(s){ const max=saleRule(s).max; return !!s.multi && max!==null && saleBase(s)>max; }
+function overMaxText(s){ return `The order subtotal is over the maximum of SGD ${fmt(saleRule(s).max)} per sale; remove a line.`; }
+function amountInRange(s){
+  if (s.multi) return s.lines.length>0 && !s.draft && !orderOverMax(s);
+  const rule=saleRule(s), a=s.fields.amount??0;
+  return a>=rule.min && (rule.max===null || a<=rule.max);
+}
+// Set is optional; recipient is per line for orders
+function detailsReady(s){ const f=s.fields; return !!(f.table && (s.multi || f.recipient)); }
+// Display label stored as sale.name (older readers, bill reference): "Recipient @ Table", or the table for orders
+function saleName(s){ const f=s.fields; return s.multi ? f.table : `${f.recipient} @ ${f.table}`; }
 function canGenerateQR(s){
-  const f=s.fields;
-  return !!(f.name && f.payment==='QR Code' && (f.amount??0)>=MIN_AMOUNT);
+  return !!(detailsReady(s) && s.fields.payment==='QR Code' && amountInRange(s));
 }
 function canFinalizeCash(s){
-  const f=s.fields;
-  return !!(f.name && f.payment==='Cash' && (f.amount??0)>=MIN_AMOUNT);
+  return !!(detailsReady(s) && s.fields.payment==='Cash' && amountInRange(s));
 }
 function saleOverviewKeyboard(s){
   const f=s.fields; const rows=[
-    [{text:f.name?`Name/Table: ${f.name}`:'Name / Table', callback_data:'sale_edit_name'},
+    ...(s.multi ? [] : [[
+      {text:f.recipient?`Recipient: ${f.recipient}`:'Recipient', callback_data:'sale_edit_recipient'},
+      {text:f.set?`Set: ${f.set}`:'Set', callback_data:'sale_edit_set'}
+    ]]),
+    [{text:f.table?`Table: ${f.table}`:'Table', callback_data:'sale_edit_table'},
      {text:f.payment?`Payment: ${f.payment}`:'Payment Method', callback_data:'sale_edit_pay'}],
-    [{text:f.amount?`Amount: SGD ${fmt(f.amount)}`:`Amount (min ${MIN_AMOUNT})`, callback_data:'sale_edit_amount'},
-     ...(f.amount?[{text:'Clear', callback_data:'sale_amount_clear'}]:[])],
+    s.multi
+      ? [...(s.lines.length<MAX_ORDER_LINES?[{text:'➕ Add line', callback_data:'sale_line_add'}]:[]),
+         ...(s.lines.length?[{text:'🗑 Remove last', callback_data:'sale_line_pop'}]:[])]
+      : [{text:f.amount?`Amount: SGD ${fmt(f.amount)}`:`Amount (min ${saleRule(s).min})`, callback_data:'sale_edit_amount'},
+         ...(f.amount?[{text:'Clear', callback_data:'sale_amount_clear'}]:[])],
   ];
   if (canGenerateQR(s)) rows.push([{text:'✅ Generate QR', callback_data:'sale_generate_qr'}]);
   else if (canFinalizeCash(s)) rows.push([{text:'✅ Mark Cash Collected', callback_data:'sale_finalize_cash'}]);
@@ -246,53 +579,72 @@ async function saleShowOverview(ctx,s){
 // ────────────────────────────────────────────────────────────────────────────
 bot.start(async (ctx)=>{
   const uid=String(ctx.from.id); const user=DB.users[uid];
-  if (user?.nickname && user?.company) return ctx.reply(`👋 Welcome back, ${user.nickname} (${user.company})! Use /sale to start.`);
+  if (user?.nickname && getCompany(user?.company)?.active){
+    if (!can(uid,'sale') && !can(uid,'report')) return ctx.reply(accessNote(uid));
+    return ctx.reply(`👋 Welcome back, ${user.nickname} (${companyName(user.company)})! Use /sale to start.`);
+  }
   if (!user?.nickname){
     const m=await ctx.reply('Hi! What would you like me to address you as?');
-    stepState[uid]={mode:'nickname', awaiting:'nick', promptMsgId:m.message_id, overviewMsgId:null, expiryTimer:null, fields:{}};
+    stepState[uid]={mode:'nickname', awaiting:'nick', promptMsgId:m.message_id, overviewMsgId:null, fields:{}};
     return;
   }
-  const kb={inline_keyboard:[[ {text:'Lunar',callback_data:'company_Lunar'}, {text:'Wave',callback_data:'company_Wave'},
-                               {text:'Ion',callback_data:'company_Ion'}, {text:'101',callback_data:'company_101'} ]]};
-  const m=await ctx.reply(`Hello ${user.nickname}! Choose your company:`,{reply_markup:kb});
-  stepState[uid]={mode:'company', awaiting:'company', promptMsgId:m.message_id, overviewMsgId:null, expiryTimer:null, fields:{}};
+  const m=await ctx.reply(`Hello ${user.nickname}! Choose your company:`,{reply_markup:companyKeyboard('company_')});
+  stepState[uid]={mode:'company', awaiting:'company', promptMsgId:m.message_id, overviewMsgId:null, fields:{}};
 });
 
 bot.command('sale', async (ctx)=>{
   const uid=String(ctx.from.id); const user=DB.users[uid];
   if (!user?.nickname){
     const m=await ctx.reply('Please tell me your name first. What should I call you?');
-    stepState[uid]={mode:'nickname', awaiting:'nick', promptMsgId:m.message_id, overviewMsgId:null, expiryTimer:null, fields:{}};
+    stepState[uid]={mode:'nickname', awaiting:'nick', promptMsgId:m.message_id, overviewMsgId:null, fields:{}};
     return;
   }
-  if (!user?.company){
-    const kb={inline_keyboard:[[ {text:'Lunar',callback_data:'company_Lunar'}, {text:'Wave',callback_data:'company_Wave'},
-                                 {text:'Ion',callback_data:'company_Ion'}, {text:'101',callback_data:'company_101'} ]]};
-    const m=await ctx.reply(`Hi ${user.nickname}! Choose your company:`,{reply_markup:kb});
-    stepState[uid]={mode:'company', awaiting:'company', promptMsgId:m.message_id, overviewMsgId:null, expiryTimer:null, fields:{}};
+  if (['revoked','deactivated','merged'].includes(user.status)) return ctx.reply(accessNote(uid));
+  if (!getCompany(user?.company)?.active){
+    const note=user?.company ? `${companyName(user.company)} is no longer active. ` : '';
+    const m=await ctx.reply(`Hi ${user.nickname}! ${note}Choose your company:`,{reply_markup:companyKeyboard('company_')});
+    stepState[uid]={mode:'company', awaiting:'company', promptMsgId:m.message_id, overviewMsgId:null, fields:{}};
     return;
   }
-  stepState[uid]={mode:'sale', awaiting:null, promptMsgId:null, overviewMsgId:null, expiryTimer:null, fields:{name:null,payment:null,amount:null}};
+  if (!can(uid,'sale')) return ctx.reply(accessNote(uid));
+  stepState[uid]={mode:'sale', awaiting:null, promptMsgId:null, overviewMsgId:null, companyId:user.company, fields:{recipient:null,table:null,set:null,payment:null,amount:null}};
   await ctx.reply('Creating individual flower sale. Please use the buttons below.');
-  await saleShowOverview(ctx, stepState[uid]); resetSaleTimer(ctx, stepState[uid]);
+  await saleShowOverview(ctx, stepState[uid]); resetSaleDeadline(stepState[uid]);
+});
+// Multi-line order: several recipients at one table, one TxnID and one combined QR
+bot.command('order', async (ctx)=>{
+  const uid=String(ctx.from.id); const user=DB.users[uid];
+  if (!user?.nickname || !getCompany(user?.company)?.active) return ctx.reply('ℹ️ Please set up first with /start (or use /sale once).');
+  stepState[uid]={mode:'sale', multi:true, lines:[], draft:null, awaiting:null, promptMsgId:null, overviewMsgId:null, companyId:user.company, fields:{recipient:null,table:null,set:null,payment:null,amount:null}};
+  await ctx.reply('Creating multi-line flower order. Please use the buttons below.');
+  await saleShowOverview(ctx, stepState[uid]); resetSaleDeadline(stepState[uid]);
 });
 
+// /history [TxnID or name/table] — a search looks back 7 days, otherwise the view starts at this shift
 bot.command('history', async (ctx)=>{
   const uid=String(ctx.from.id); const op=DB.users[uid]?.nickname;
   if (!op) return ctx.reply('❌ You need to set your name first with /start or /sale.');
-  const kb={inline_keyboard:[[ {text:'QR Payment',callback_data:'hist_qr'}, {text:'Cash',callback_data:'hist_cash'}, {text:'All',callback_data:'hist_all'} ]]};
-  await ctx.reply('📑 <b>History</b> — pick a filter (last 10 hours):',{parse_mode:'HTML', reply_markup:kb});
+  const q=historyQuery(ctx.message.text.replace(/^\/\S+\s*/,''));
+  const { text, keyboard }=historyView(uid, { period: q ? '7d' : 'shift', method:'all', page:0, q });
+  await ctx.reply(text, {parse_mode:'HTML', reply_markup:keyboard});
 });
 
 // ────────────────────────────────────────────────────────────────────────────
 // /report (admin) — company → scope → (operator) | NET subtotal
 // ────────────────────────────────────────────────────────────────────────────
-function getSalesSince(ms){
-  return DB.sales
-    .filter(s=>{ const ts=new Date(s.timestamp).getTime(); return !isNaN(ts) && ts>=ms; })
-    .sort((a,b)=>new Date(a.timestamp)-new Date(b.timestamp)); // oldest → newest
-}
+function getSalesSince(ms){ return store.querySales({ since:ms }); } // oldest → newest
 function pad(str='',len=14){ str=String(str); return (str.length>=len)?str.slice(0,len):str+' '.repeat(len-str.length); }
+// Net totals per key(row), biggest first → [[key, { count, net, cash, qr }]]
+function groupTotals(rows, key){
+  const groups=new Map();
+  for (const r of rows){
+    const k=key(r), g=groups.get(k) || { count:0, cash:0, qr:0, net:0 }, v=Number(r.value)||0;
+    g.count++; g.net+=v;
+    if (r.method==='Cash') g.cash+=v; else if (r.method==='QR Code') g.qr+=v;
+    groups.set(k, g);
+  }
+  return [...groups].sort((a,b)=>b[1].net-a[1].net);
+}
 function renderTableRows(rows){
   const subtotal = rows.reduce((sum,r)=> sum + (Number(r.value)||0), 0);
   let out='```\n'+
@@ -304,103 +656,164 @@ function renderTableRows(rows){
            pad(`$${Number(r.value).toFixed(2)}`,10)+
            pad(r.method,8)+
            pad(r.txnId||'-',8)+
-           pad(r.name||'-',16)+'\n';
+           pad(r.note?`${r.note} ${r.name||'-'}`:(r.name||'-'),16)+'\n';
   }
-  out += pad('',17)+pad('TOTAL',14)+pad(`$${subtotal.toFixed(2)}`,10)+pad('',8)+pad('',8)+pad('',16)+'\n';
+  out += pad('',17)+pad('TOTAL (net)',14)+pad(`$${subtotal.toFixed(2)}`,10)+pad('',8)+pad('',8)+pad('',16)+'\n';
   out+='```'; return out;
 }
 function csvEscape(s=''){ s=String(s); return (/[",\n]/.test(s))?`"${s.replace(/"/g,'""')}"`:s; }
-async function writeCsvFile(rows){
-  const header=['Date','Time','Sales Person','Flower Value (NET)','Method','TxnID','Name/Table'];
+// Report periods → { from, to (exclusive), label }. Every day-based period starts at the shift boundary (noon, the
+// same boundary TxnID dates use) so a night shift is never split; a business day is a shift.
+const REPORT_PERIODS = [
+  ['shift','Current shift'], ['prevshift','Previous shift'],
+  ['week','This week'], ['month','This month'], ['custom','Custom dates']
+];
+function reportRange(period, now=Date.now()){
+  const label=Object.fromEntries(REPORT_PERIODS)[period];
+  const shift=shiftStart(now), sp=sgParts(shift);
+  switch (period){
+    case 'shift':     return { from:shift, to:now, label };
+    case 'prevshift': return { from:addDays(shift,-1), to:shift, label };
+    case 'week':      return { from:addDays(shift, -((sp.dow+6)%7)), to:now, label }; // Monday noon
+    case 'month':     return { from:sgTime(sp.y, sp.m, 1, 12), to:now, label };
+    default: return null;
+  }
+}
+// "DD/MM/YYYY" or "DD/MM/YYYY - DD/MM/YYYY" → shifts starting on those dates (from noon of the first to noon after the last)
+function parseCustomRange(text){
+  const dates=[...String(text).matchAll(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/g)].map(([, dd, mm, yyyy])=>{
+    const t=sgTime(+yyyy, +mm, +dd, 12), p=sgParts(t);
+    return p.d===+dd && p.m===+mm ? t : NaN; // sgTime overflows (31/02 → 3 March), so a date must round-trip
+  });
+  if (!dates.length || dates.length>2 || dates.some(d=>isNaN(d))) return null;
+  const [from, to=dates[0]]=dates;
+  if (to<from) return null;
+  return { from, to:addDays(to,1), label:'Custom' };
+}
+function rangeLabel(range){ return `${range.label}: ${fmtSg(range.from)} → ${fmtSg(range.to)}`; }
+async function writeCsvFile(rows, range){
+  const header=['Date','Time','Sales Person','Flower Value (NET)','Method','TxnID','Name/Table','Voided/Refunded (NET)','Net After Reversals','Status','Recipient','Table No.','Set'];
   const lines=[header.join(',')];
-  let subtotal=0;
+  let gross=0, reversed=0, subtotal=0;
   for (const r of rows){
-    const val=Number(r.value)||0; subtotal+=val;
-    lines.push([ r.timestamp, csvEscape(r.salesPerson), val.toFixed(2), r.method, r.txnId||'-', csvEscape(r.name||'') ].join(','));
+    const val=Number(r.value)||0; subtotal+=val; gross+=Number(r.gross)||0; reversed+=Number(r.reversed)||0;
+    lines.push([ r.timestamp, csvEscape(r.salesPerson), Number(r.gross||0).toFixed(2), r.method, r.txnId||'-', csvEscape(r.name||''),
+      Number(r.reversed||0).toFixed(2), val.toFixed(2), r.note||'', csvEscape(r.recipient||''), csvEscape(r.table||''), csvEscape(r.set||'') ].join(','));
   }
   lines.push('');
-  lines.push(['','TOTAL', subtotal.toFixed(2),'','',''].join(','));
-  const csv=lines.join('\n'); const fname=`report_${new Date().toISOString().replace(/[:.]/g,'-')}.csv`;
+  lines.push(['','','TOTAL', gross.toFixed(2),'','','', reversed.toFixed(2), subtotal.toFixed(2),''].join(','));
+  if (range) lines.push(['Period', csvEscape(range.label), csvEscape(fmtSg(range.from)), csvEscape(fmtSg(range.to))].join(','));
+  for (const [title, key] of [['Recipient','recipient'], ['Table No.','table']]){
+    lines.push('', [title,'Sales','Net After Reversals'].join(','));
+    for (const [k,t] of groupTotals(rows, r=>r[key]||'-')) lines.push([csvEscape(k), t.count, t.net.toFixed(2)].join(','));
+  }
+  const csv=lines.join('\n');
+  const span=range ? `${range.label.toLowerCase().replace(/[^a-z0-9]+/g,'-')}_${stampSg(range.from)}_to_${stampSg(range.to)}_` : '';
+  const fname=`report_${span}${new Date().toISOString().replace(/[:.]/g,'-')}.csv`;
   await fs.writeFile(fname,csv,'utf8'); return fname;
 }
-function buildReportRows({ sinceMs, company, operatorId }){
-  const sales=getSalesSince(sinceMs).filter(s=> (s.company||'')===company);
-  const filtered = operatorId? sales.filter(s=>String(s.operatorId||'')===String(operatorId)) : sales;
-  return filtered.map(s=>{
-    const ts=new Date(s.timestamp).toLocaleString('en-SG',{hour12:false,year:'numeric',month:'2-digit',day:'2-digit',hour:'2-digit',minute:'2-digit'});
-    return {
-      timestamp: ts,
-      salesPerson: s.operator || '-',
-      value: (s.amountBase ?? s.amount ?? 0), // NET (no 3%)
-      method: s.payment || '-',
-      txnId: s.transactionId || '-',
-      name: s.name || '-'
-    };
+// One row per sale, or per line for multi-line orders (reversals are spread over the lines pro rata)
+// Sales matching the report filters (also used by the REST API); method is 'Cash' | 'QR Code'
+function reportSales({ sinceMs, untilMs, company, operatorId, method }){
+  const sales=store.querySales({ since:sinceMs, until:untilMs, company, operatorId: operatorId || null });
+  return method ? sales.filter(s=>s.payment===method) : sales;
+}
+function buildReportRows(filters){ return reportSales(filters).flatMap(saleRows); }
+// One report row per sale, or per line of a multi-line order
+function saleRows(s){
+  const row={
+    timestamp: fmtSg(parseSaleTime(s.timestamp)), // "DD/MM/YYYY, HH:mm" → CSV Date + Time columns
+    at: parseSaleTime(s.timestamp),
+    salesPerson: s.operator || '-',
+    operatorId: s.operatorId || null,
+    value: netBase(s), // NET (no surcharge), after voids/refunds
+    gross: (s.amountBase ?? s.amount ?? 0),
+    reversed: Number(s.reversedBase||0),
+    note: reversalNote(s),
+    method: s.payment || '-',
+    txnId: s.transactionId || '-',
+    name: s.name || '-',
+    recipient: s.recipient ?? s.girl ?? null,
+    table: s.table ?? null,
+    set: s.set ?? null,
+    company: s.company || null
+  };
+  if (!s.lines?.length) return [row];
+  const base=Number(s.amountBase)||0;
+  return s.lines.map(l=>{
+    const reversed=base ? Number((row.reversed*l.amountBase/base).toFixed(2)) : 0;
+    return { ...row, gross:l.amountBase, reversed, value:Number((l.amountBase-reversed).toFixed(2)),
+      name:`${s.name || '-'} · ${l.recipient}${l.set?` (${l.set})`:''}`, recipient:l.recipient, set:l.set ?? null };
   });
 }
-async function sendReportToAdmin(ctx, rows, label){
-  if (!rows.length){ await ctx.reply(`📭 No sales in the last 10 hours${label?` (${label})`:''}.`); return; }
+// Heading + table + CSV to the admin group (also used by scheduled reports)
+async function postReport(telegram, rows, label, range){
+  await telegram.sendMessage(ADMIN_CHAT_ID, `📑 <b>${escHtml(label)}</b>\n${rangeLabel(range)}`, {parse_mode:'HTML'});
   const tableText=renderTableRows(rows);
-  try{ await ctx.telegram.sendMessage(ADMIN_CHAT_ID, tableText, {parse_mode:'MarkdownV2'}); }
-  catch{ await ctx.telegram.sendMessage(ADMIN_CHAT_ID, tableText.replace(/`/g,''), {parse_mode:'HTML'}); }
-  const csvPath=await writeCsvFile(rows);
-  await ctx.telegram.sendDocument(ADMIN_CHAT_ID, { source:csvPath, filename:csvPath });
+  try{ await telegram.sendMessage(ADMIN_CHAT_ID, tableText, {parse_mode:'MarkdownV2'}); }
+  catch{ await telegram.sendMessage(ADMIN_CHAT_ID, tableText.replace(/`/g,''), {parse_mode:'HTML'}); }
+  await sendMonospace(telegram, renderBreakdown(rows, r=>r.recipient||'-', 'Recipient'));
+  await sendMonospace(telegram, renderBreakdown(rows, r=>r.table||'-', 'Table'));
+  const csvPath=await writeCsvFile(rows, range);
+  await telegram.sendDocument(ADMIN_CHAT_ID, { source:csvPath, filename:csvPath });
+}
+async function sendReportToAdmin(ctx, rows, label, range){
+  if (!rows.length){ await ctx.reply(`📭 No sales for ${rangeLabel(range)}${label?` (${label})`:''}.`); return; }
+  await postReport(ctx.telegram, rows, label, range);
   if (String(ctx.chat.id)!==String(ADMIN_CHAT_ID)) await ctx.reply(`📮 Report ${label?`(${label}) `:''}sent to the admin group.`);
 }
 
 bot.command('report', async (ctx)=>{
   const uid=String(ctx.from.id);
-  if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 You are not authorized to use /report.');
+  if (!can(uid,'report')) return ctx.reply('🚫 You are not authorized to use /report.');
   if (!ADMIN_CHAT_ID) return ctx.reply('⚠️ ADMIN_CHAT_ID is not set in .env');
   try { await ctx.telegram.getChat(ADMIN_CHAT_ID); } catch(e){ return ctx.reply(`⚠️ I can’t access ADMIN_CHAT_ID (${ADMIN_CHAT_ID}). Add me to that group.\n${e.message}`); }
 
-  const rows = [
-    [{ text:'Lunar', callback_data:'rep_company_Lunar' }, { text:'Wave', callback_data:'rep_company_Wave' }],
-    [{ text:'Ion',   callback_data:'rep_company_Ion'   }, { text:'101',  callback_data:'rep_company_101'  }]
-  ];
-  const m = await ctx.reply('📑 <b>Report</b> — Step 1/3: Choose <b>Company</b>', { parse_mode:'HTML', reply_markup:{ inline_keyboard:rows } });
-  stepState[uid]={ mode:'report', awaiting:'rep_company', promptMsgId:m.message_id, overviewMsgId:null, expiryTimer:null, fields:{}, report:{} };
+  // Inactive companies stay listed so their history can still be reported; managers/viewers see only their own
+  const companies=listCompanies().filter(c=>inScope(uid, c.id));
+  if (!companies.length) return ctx.reply('📭 You have no company to report on.');
+  const kb = companyKeyboard('rep_company_', { companies, perRow:2 });
+  const m = await ctx.reply('📑 <b>Report</b> — Step 1/4: Choose <b>Company</b>', { parse_mode:'HTML', reply_markup:kb });
+  stepState[uid]={ mode:'report', awaiting:'rep_company', promptMsgId:m.message_id, overviewMsgId:null, fields:{}, report:{} };
 });
 
-bot.action(/^rep_company_(Lunar|Wave|Ion|101)$/, async (ctx)=>{
+bot.action(/^rep_company_(\w+)$/, async (ctx)=>{
   await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 Not authorized.');
+  const uid=String(ctx.from.id); if (!can(uid,'report')) return ctx.reply('🚫 Not authorized.');
   const s=stepState[uid]; if (!s || s.mode!=='report') return;
-  const company=ctx.match[1]; s.report.company=company;
+  if (!getCompany(ctx.match[1])) return ctx.reply('❌ Unknown company.');
+  if (!inScope(uid, ctx.match[1])) return ctx.reply('🚫 Not authorized for that company.');
+  s.report.company=ctx.match[1]; const company=companyName(s.report.company);
 
   const kb={ inline_keyboard:[
     [{ text:'Individual', callback_data:'rep_scope_ME' }, { text:'All', callback_data:'rep_scope_ALL' }],
     [{ text:'❌ Cancel', callback_data:'rep_cancel' }]
   ]};
-  const m=await ctx.reply(`📑 <b>Report</b> — Step 2/3: Scope for <b>${company}</b>`, { parse_mode:'HTML', reply_markup:kb });
+  const m=await ctx.reply(`📑 <b>Report</b> — Step 2/4: Scope for <b>${escHtml(company)}</b>`, { parse_mode:'HTML', reply_markup:kb });
   await tryDelete(ctx, s.promptMsgId); s.promptMsgId=m.message_id; s.awaiting='rep_scope';
 });
 
 bot.action(/^rep_scope_(ME|ALL)$/, async (ctx)=>{
   await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 Not authorized.');
+  const uid=String(ctx.from.id); if (!can(uid,'report')) return ctx.reply('🚫 Not authorized.');
   const s=stepState[uid]; if (!s || s.mode!=='report') return;
   const scope=ctx.match[1]; s.report.scope=scope;
 
-  if (scope==='ALL'){
-    const rows = buildReportRows({ sinceMs: tenHoursAgoMs(), company: s.report.company, operatorId: null });
-    await sendReportToAdmin(ctx, rows, `${s.report.company} • All Operators`);
-    await tryDelete(ctx, s.promptMsgId); delete stepState[uid]; return;
-  }
+  if (scope==='ALL'){ s.report.operatorId=null; return askReportPeriod(ctx, s); }
 
-  // Individual → pick operator in that company
+  // Individual → pick operator in that company (deactivated and merged accounts are hidden; their sales stay under All)
   const ops = Object.entries(DB.users)
-    .filter(([id,u]) => (u?.company || '') === s.report.company)
+    .filter(([id,u]) => (u?.company || '') === s.report.company && !['deactivated','merged'].includes(u.status))
     .map(([id,u]) => ({ id, nickname: u.nickname || id }));
   if (!ops.length){
     await tryDelete(ctx, s.promptMsgId); delete stepState[uid];
-    return ctx.reply(`📭 No operators found for ${s.report.company}.`);
+    return ctx.reply(`📭 No operators found for ${companyName(s.report.company)}.`);
   }
   const rows=[];
   for (let i=0;i<ops.length;i+=2){ rows.push(ops.slice(i,i+2).map(o=>({ text:o.nickname, callback_data:`rep_op_${o.id}` }))); }
   rows.push([{ text:'⬅️ Back', callback_data:'rep_scope_back' }, { text:'❌ Cancel', callback_data:'rep_cancel' }]);
 
-  const m=await ctx.reply(`📑 <b>Report</b> — Step 3/3: Pick <b>Operator</b> in ${s.report.company}`, { parse_mode:'HTML', reply_markup:{inline_keyboard:rows} });
+  const m=await ctx.reply(`📑 <b>Report</b> — Step 3/4: Pick <b>Operator</b> in ${escHtml(companyName(s.report.company))}`, { parse_mode:'HTML', reply_markup:{inline_keyboard:rows} });
   await tryDelete(ctx, s.promptMsgId); s.promptMsgId=m.message_id; s.awaiting='rep_operator';
 });
 
@@ -411,21 +824,43 @@ bot.action('rep_scope_back', async (ctx)=>{
     [{ text:'Individual', callback_data:'rep_scope_ME' }, { text:'All', callback_data:'rep_scope_ALL' }],
     [{ text:'❌ Cancel', callback_data:'rep_cancel' }]
   ]};
-  const m=await ctx.reply(`📑 <b>Report</b> — Step 2/3: Scope for <b>${s.report.company}</b>`, { parse_mode:'HTML', reply_markup:kb });
+  const m=await ctx.reply(`📑 <b>Report</b> — Step 2/4: Scope for <b>${escHtml(companyName(s.report.company))}</b>`, { parse_mode:'HTML', reply_markup:kb });
   await tryDelete(ctx, s.promptMsgId); s.promptMsgId=m.message_id; s.awaiting='rep_scope';
 });
 
 bot.action(/^rep_op_(\d+)$/, async (ctx)=>{
   await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 Not authorized.');
+  const uid=String(ctx.from.id); if (!can(uid,'report')) return ctx.reply('🚫 Not authorized.');
   const s=stepState[uid]; if (!s || s.mode!=='report') return;
 
-  const targetId = ctx.match[1];
-  const rows = buildReportRows({ sinceMs: tenHoursAgoMs(), company: s.report.company, operatorId: targetId });
-  const opName = DB.users[targetId]?.nickname || targetId;
+  s.report.operatorId = ctx.match[1];
+  await askReportPeriod(ctx, s);
+});
 
-  await sendReportToAdmin(ctx, rows, `${s.report.company} • ${opName}`);
+// Step 4: period
+async function askReportPeriod(ctx, s){
+  const rows=[];
+  for (let i=0;i<REPORT_PERIODS.length;i+=2) rows.push(REPORT_PERIODS.slice(i,i+2).map(([id,label])=>({ text:label, callback_data:`rep_period_${id}` })));
+  rows.push([{ text:'⬅️ Back', callback_data:'rep_scope_back' }, { text:'❌ Cancel', callback_data:'rep_cancel' }]);
+  const m=await ctx.reply('📑 <b>Report</b> — Step 4/4: Choose <b>Period</b>', { parse_mode:'HTML', reply_markup:{inline_keyboard:rows} });
+  await tryDelete(ctx, s.promptMsgId); s.promptMsgId=m.message_id; s.awaiting='rep_period';
+}
+async function runReport(ctx, uid, s, range){
+  const rows = buildReportRows({ sinceMs:range.from, untilMs:range.to, company:s.report.company, operatorId:s.report.operatorId });
+  const who = s.report.operatorId ? (DB.users[s.report.operatorId]?.nickname || s.report.operatorId) : 'All Operators';
+  await sendReportToAdmin(ctx, rows, `${companyName(s.report.company)} • ${who}`, range);
   await tryDelete(ctx, s.promptMsgId); delete stepState[uid];
+}
+bot.action(/^rep_period_(\w+)$/, async (ctx)=>{
+  await ctx.answerCbQuery();
+  const uid=String(ctx.from.id); if (!can(uid,'report')) return ctx.reply('🚫 Not authorized.');
+  const s=stepState[uid]; if (!s || s.mode!=='report' || !s.report.company) return;
+  if (ctx.match[1]==='custom'){
+    const m=await ctx.reply('📅 <b>Custom dates</b> — send <code>DD/MM/YYYY</code> or <code>DD/MM/YYYY - DD/MM/YYYY</code> (each date is the shift starting at noon that day):',{parse_mode:'HTML'});
+    await tryDelete(ctx, s.promptMsgId); s.promptMsgId=m.message_id; s.awaiting='rep_custom'; return;
+  }
+  const range=reportRange(ctx.match[1]); if (!range) return;
+  await runReport(ctx, uid, s, range);
 });
 
 bot.action('rep_cancel', async (ctx)=>{
@@ -438,11 +873,110 @@ bot.action('rep_cancel', async (ctx)=>{
 // ────────────────────────────────────────────────────────────────────────────
 // Inline actions for /sale (Name/Payment/Amount)
 // ────────────────────────────────────────────────────────────────────────────
-bot.action('sale_edit_name', async (ctx)=>{
+// Recipient picker: roster buttons (operator's company + shared entries), typing filters by name
+const PICK_PAGE = 8;
+function rosterFor(companyId){
+  return Object.values(DB.roster).filter(p=>p.active && (!p.company || p.company===companyId)).sort((a,b)=>a.name.localeCompare(b.name));
+}
+async function showPrompt(ctx, s, text, reply_markup){
+  if (s.promptMsgId){
+    try{ await ctx.telegram.editMessageText(ctx.chat.id, s.promptMsgId, undefined, text, {parse_mode:'HTML', reply_markup}); return; }catch{}
+  }
+  const m=await ctx.reply(text,{parse_mode:'HTML', reply_markup}); s.promptMsgId=m.message_id;
+}
+async function askRecipient(ctx, s, { query=s.pick?.query||'', page=0 }={}){
+  const title=s.draft ? `🌸 <b>Line ${s.lines.length+1}</b> — Recipient` : '🌸 <b>Recipient</b>';
+  const all=rosterFor(s.companyId);
+  if (!all.length){
+    await showPrompt(ctx, s, `${title} — no roster yet, enter the name:`);
+    s.awaiting='recipient_text'; touch(ctx,s); return;
+  }
+  const q=query.trim().toLowerCase();
+  const hits=q ? all.filter(p=>p.name.toLowerCase().includes(q)) : all;
+  const pages=Math.max(1, Math.ceil(hits.length/PICK_PAGE)); page=Math.min(Math.max(page,0), pages-1);
+  const rows=[];
+  const shown=hits.slice(page*PICK_PAGE, (page+1)*PICK_PAGE);
+  for (let i=0;i<shown.length;i+=2) rows.push(shown.slice(i,i+2).map(p=>({ text:p.name, callback_data:`rcp_${p.id}` })));
+  const nav=[];
+  if (page>0) nav.push({ text:'◀️', callback_data:`rcp_page_${page-1}` });
+  if (page<pages-1) nav.push({ text:'▶️', callback_data:`rcp_page_${page+1}` });
+  if (q) nav.push({ text:'✖️ Clear search', callback_data:'rcp_page_0_clear' });
+  if (nav.length) rows.push(nav);
+  rows.push([{ text:'⬅️ Back', callback_data:'sale_back' }]);
+  const note = !hits.length ? `No match for “${escHtml(query)}”. Type again:` : `Tap a name or type to search${q?` (“${escHtml(query)}”, ${hits.length} found)`:''}:`;
+  await showPrompt(ctx, s, `${title} — ${note}`, { inline_keyboard:rows });
+  s.pick={ query, page }; s.awaiting='recipient'; touch(ctx,s);
+}
+// Recipient chosen: a single sale goes back to the overview, an order line continues with set → amount
+async function pickRecipient(ctx, s, name){
+  s.pick=null; s.awaiting=null;
+  if (s.multi && s.draft){ s.draft.recipient=name; return askSet(ctx, s); }
+  s.fields.recipient=name;
+  await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s);
+}
+async function askSet(ctx, s){
+  const sets=DB.floor.sets, title=`🎁 <b>Set</b>${s.draft?` for ${escHtml(s.draft.recipient)}`:''}`;
+  if (!sets.length){ await showPrompt(ctx, s, `${title} — e.g. Set 1 (send - for none):`); s.awaiting='set'; touch(ctx,s); return; }
+  const rows=[];
+  for (let i=0;i<sets.length;i+=3) rows.push(sets.slice(i,i+3).map((name,j)=>({ text:name, callback_data:`set_${i+j}` })));
+  rows.push([{ text:'None', callback_data:'set_none' }, { text:'⬅️ Back', callback_data:'sale_back' }]);
+  await showPrompt(ctx, s, `${title} — choose one:`, { inline_keyboard:rows });
+  s.awaiting=null; touch(ctx,s);
+}
+async function pickSet(ctx, s, set){
+  s.awaiting=null;
+  if (s.multi && s.draft){ s.draft.set=set; await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null; return askSaleAmount(ctx, s, `Amount for ${escHtml(s.draft.recipient)}`); }
+  s.fields.set=set;
+  await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s);
+}
+bot.action('sale_edit_recipient', async (ctx)=>{
+  await ctx.answerCbQuery();
+  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
+  s.promptMsgId=null; s.pick=null; await askRecipient(ctx, s);
+});
+bot.action(/^rcp_page_(\d+)(_clear)?$/, async (ctx)=>{
+  await ctx.answerCbQuery();
+  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
+  await askRecipient(ctx, s, { page:Number(ctx.match[1]), ...(ctx.match[2] ? { query:'' } : {}) });
+});
+bot.action(/^rcp_(\d+)$/, async (ctx)=>{
+  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return ctx.answerCbQuery();
+  const p=DB.roster[ctx.match[1]];
+  if (!p?.active) return ctx.answerCbQuery('No longer on the roster.');
+  await ctx.answerCbQuery(p.name);
+  await pickRecipient(ctx, s, p.name);
+});
+bot.action('sale_edit_set', async (ctx)=>{
+  await ctx.answerCbQuery();
+  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
+  s.promptMsgId=null; await askSet(ctx, s);
+});
+bot.action(/^set_(\d+|none)$/, async (ctx)=>{
+  await ctx.answerCbQuery();
+  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
+  await pickSet(ctx, s, ctx.match[1]==='none' ? null : (DB.floor.sets[Number(ctx.match[1])] ?? null));
+});
+// Table picker: floor plan buttons, or free text until a floor plan is configured
+bot.action('sale_edit_table', async (ctx)=>{
+  await ctx.answerCbQuery();
+  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
+  const tables=DB.floor.tables;
+  if (!tables.length){
+    const m=await ctx.reply('🪑 <b>Table</b> — Enter the table number:',{parse_mode:'HTML'});
+    s.promptMsgId=m.message_id; s.awaiting='table'; touch(ctx,s); return;
+  }
+  const rows=[];
+  for (let i=0;i<tables.length;i+=4) rows.push(tables.slice(i,i+4).map((t,j)=>({ text:t, callback_data:`tbl_${i+j}` })));
+  rows.push([{ text:'⬅️ Back', callback_data:'sale_back' }]);
+  const m=await ctx.reply('🪑 <b>Table</b> — choose one:',{parse_mode:'HTML', reply_markup:{inline_keyboard:rows}});
+  s.promptMsgId=m.message_id; s.awaiting=null; touch(ctx,s);
+});
+bot.action(/^tbl_(\d+)$/, async (ctx)=>{
   await ctx.answerCbQuery();
   const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  const m=await ctx.reply('👤 <b>Name / Table</b> — Enter a single line (either a name or a table number):',{parse_mode:'HTML'});
-  s.promptMsgId=m.message_id; s.awaiting='name'; touch(ctx,s);
+  const table=DB.floor.tables[Number(ctx.match[1])]; if (!table) return;
+  s.fields.table=table;
+  await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s);
 });
 bot.action('sale_edit_pay', async (ctx)=>{
   await ctx.answerCbQuery();
@@ -463,27 +997,45 @@ bot.action('sale_pay_cash', async (ctx)=>{
   const warn=await ctx.reply('⚠️ <b>Cash must be collected immediately.</b>',{parse_mode:'HTML'}); setTimeout(()=>tryDelete(ctx,warn.message_id),10_000);
   await saleShowOverview(ctx,s); touch(ctx,s);
 });
+async function askSaleAmount(ctx, s, title='Amount'){
+  const rule=saleRule(s); const rows=[];
+  for (let i=0;i<rule.presets.length;i+=3) rows.push(rule.presets.slice(i,i+3).map(a=>({text:String(a),callback_data:`amt_${a}`})));
+  rows.push([{text:'Custom',callback_data:'amt_custom'},{text:'⬅️ Back',callback_data:'sale_back'}]);
+  const m=await ctx.reply(`💵 <b>${title}</b> — choose or pick custom (${rangeText(rule)}):`,{parse_mode:'HTML', reply_markup:{inline_keyboard:rows}});
+  s.promptMsgId=m.message_id; s.awaiting=null; touch(ctx,s);
+}
 bot.action('sale_edit_amount', async (ctx)=>{
   await ctx.answerCbQuery();
   const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  const kb={inline_keyboard:[
-    [{text:'100',callback_data:'amt_100'},{text:'200',callback_data:'amt_200'},{text:'300',callback_data:'amt_300'}],
-    [{text:'500',callback_data:'amt_500'},{text:'1000',callback_data:'amt_1000'},{text:'2000',callback_data:'amt_2000'}],
-    [{text:'Custom',callback_data:'amt_custom'},{text:'⬅️ Back',callback_data:'sale_back'}]
-  ]};
-  const m=await ctx.reply('💵 <b>Amount</b> — choose or pick custom (min 100):',{parse_mode:'HTML', reply_markup:kb});
-  s.promptMsgId=m.message_id; s.awaiting=null; touch(ctx,s);
+  await askSaleAmount(ctx, s);
 });
+// Amount for the single sale, or for the order line being added
+function setSaleAmount(s, value){
+  if (s.multi && s.draft){ s.lines.push({ ...s.draft, amountBase:value }); s.draft=null; }
+  else if (!s.multi) s.fields.amount=value;
+}
 bot.action(/^amt_(\d+)$/, async (ctx)=>{
   await ctx.answerCbQuery();
   const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  s.fields.amount=Math.max(Number(ctx.match[1]), MIN_AMOUNT);
+  setSaleAmount(s, clampAmount(saleRule(s), Number(ctx.match[1])).value);
   await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s);
 });
+bot.action('sale_line_add', async (ctx)=>{
+  await ctx.answerCbQuery();
+  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale'||!s.multi) return;
+  if (s.lines.length>=MAX_ORDER_LINES) return ctx.reply(`❌ An order can have at most ${MAX_ORDER_LINES} lines.`);
+  s.draft={ recipient:null, set:null };
+  await askRecipient(ctx, s);
+});
+bot.action('sale_line_pop', async (ctx)=>{
+  await ctx.answerCbQuery('Line removed');
+  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale'||!s.multi) return;
+  s.lines.pop(); await saleShowOverview(ctx,s); touch(ctx,s);
+});
 bot.action('amt_custom', async (ctx)=>{
   await ctx.answerCbQuery();
   const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  const m=await ctx.reply('💵 <b>Custom Amount</b> — Enter amount (min 100):',{parse_mode:'HTML'});
+  const m=await ctx.reply(`💵 <b>Custom Amount</b> — Enter amount (${rangeText(saleRule(s))}):`,{parse_mode:'HTML'});
   s.promptMsgId=m.message_id; s.awaiting='amount'; touch(ctx,s);
 });
 bot.action('sale_amount_clear', async (ctx)=>{
@@ -494,79 +1046,166 @@ bot.action('sale_amount_clear', async (ctx)=>{
 bot.action('sale_back', async (ctx)=>{
   await ctx.answerCbQuery();
   const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
+  if (s.multi) s.draft=null; // backing out of a line step drops the unfinished line
+  s.awaiting=null; s.pick=null;
   await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s);
 });
 
-// Generate QR (+3% on base)
+// Stored shape: single sales keep `name`; orders also keep their lines (NET per recipient)
+function saleShape(s){
+  const f=s.fields;
+  return s.multi
+    ? { type:'multi', table:f.table, lines:s.lines.map(l=>({ recipient:l.recipient, set:l.set||null, amountBase:l.amountBase })) }
+    : { type:'single', recipient:f.recipient, table:f.table, set:f.set||null };
+}
+function renderSaleParty(s){
+  const f=s.fields;
+  return s.multi ? `Table: <b>${escHtml(f.table)}</b>\n${renderOrderLines(s.lines)}`
+    : `Recipient: <b>${escHtml(f.recipient)}</b>${f.set?` (${escHtml(f.set)})`:''} | Table: <b>${escHtml(f.table)}</b>\n`;
+}
+function renderOrderLines(lines){ return lines.map((l,i)=>`  ${i+1}. ${escHtml(l.recipient)}${l.set?` (${escHtml(l.set)})`:''} — SGD ${fmt(l.amountBase)}\n`).join(''); }
+
+// Generate QR (base + surcharge from the pricing rule)
 bot.action('sale_generate_qr', async (ctx)=>{
   await ctx.answerCbQuery();
   const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
   const operator=DB.users[uid]?.nickname || 'Unknown';
-  const companyName=DB.users[uid]?.company || '';
-  const companyTag=companyName?` (${companyName})`:'';
+  const companyId=DB.users[uid]?.company || '';
+  const companyTag=companyId?` (${companyName(companyId)})`:'';
 
   const f=s.fields;
-  if (!(f.name && f.payment==='QR Code')) return ctx.reply('❌ Missing details. Ensure Name/Table and Payment=QR Code are provided.');
-  const baseAmt=(f.amount && f.amount>=MIN_AMOUNT)?f.amount:MIN_AMOUNT;
-  const payAmt=Number((baseAmt*1.03).toFixed(2));
-
-  const txnId=nextTxnId(companyName);
-  const ref=buildReference(txnId, operator, f.name);
-  await saveDB();
+  if (orderOverMax(s)) return ctx.reply(`❌ ${overMaxText(s)}`);
+  if (!(detailsReady(s) && f.payment==='QR Code' && amountInRange(s))) return ctx.reply('❌ Missing details. Ensure Recipient, Table and Payment=QR Code are provided.');
+  const company=getCompany(companyId);
+  const proxyErr=payNowConfigError(company); if (proxyErr) return ctx.reply(`❌ Cannot generate QR. ${proxyErr}`);
+  const rule=saleRule(s), pricingVersion=DB.pricing.version;
+  const { base:baseAmt, surcharge, total:payAmt }=quote(rule, 'QR Code', s.multi ? saleBase(s) : clampAmount(rule, f.amount).value);
+
+  const txn=txnIds.reserve(companyId), txnId=txn.txnId;
+  const ref=buildReference(txnId, operator, s.multi ? f.table : f.recipient);
+  const win=qrWindow();
+
+  // Nothing has been shown or committed yet, so a failure here can give the TxnID back
+  let buffer;
+  try { buffer=await generatePayNowQR({ company, amount:payAmt, reference:ref, expiresAt:win.qrExpiresAt }); }
+  catch(e){ console.error(e); txn.release(); return ctx.reply('❌ Failed to generate QR.'); }
+
+  // The pending sale goes in before the customer sees the QR. From here on the TxnID is never released: the
+  // ops are applied in memory even when the journal write fails, and a rendered QR may already have been paid.
+  let sale;
+  try {
+    sale=await store.insertSale({ operatorId:uid, operator, company:companyId||null, ...saleShape(s),
+      name:saleName(s), payment:'QR Code', amountBase:baseAmt, amount:payAmt, surcharge, pricingVersion,
+      transactionId:txnId, reference:ref, status:SALE_STATUS.PENDING, paidAmount:0, chatId:ctx.chat.id, timestamp:win.qrIssuedAt,
+      ...win, shiftId:openShiftFor(uid)?.id ?? null
+    }, txn.ops);
+  } catch(e){ console.error(e); return ctx.reply(`❌ Sale ${txnId} may not have been saved, so no QR was shown. Check /unpaid before trying again.`); }
 
   try{
-    const buffer=await generatePayNowQR({ amount:payAmt, reference:ref });
     const caption=
       `💳 <b>PayNow</b>\n`+
+      `Pay to: <b>${payeeLabel(company)}</b>\n`+
       `Transaction ID: <b>${txnId}</b>\n`+
-      `Operator: <b>${operator}${companyTag}</b>\n`+
-      `Name/Table: <b>${f.name}</b>\n`+
-      `Base: <b>SGD ${fmt(baseAmt)}</b>  (+3% fee)\n`+
+      `Operator: <b>${escHtml(operator)}${escHtml(companyTag)}</b>\n`+
+      renderSaleParty(s)+
+      `Base: <b>SGD ${fmt(baseAmt)}</b>  (${describeSurcharge(rule.surcharge['QR Code'])} fee)\n`+
       `Charged: <b>SGD ${fmt(payAmt)}</b>\n`+
-      `Ref (QR): <code>${ref}</code>\n\n`+
-      `⚠️ This QR will auto-expire in 2 minutes.`;
+      `Ref (QR): <code>${escHtml(ref)}</code>\n\n`+
+      qrExpiryLine(win.qrExpiresAt);
     const msg=await ctx.replyWithPhoto({source:buffer},{caption,parse_mode:'HTML'});
-    setTimeout(()=>tryDelete(ctx,msg.message_id),QR_LIFETIME_MS);
+    await store.updateSale(sale.id, { qrPost:{ chatId:ctx.chat.id, messageId:msg.message_id } });
+    await tryDelete(ctx,s.overviewMsgId); await tryDelete(ctx,s.promptMsgId); delete stepState[uid];
+  }catch(e){
+    // The sale stays pending under its TxnID; once the window closes the operator gets the Regenerate button
+    console.error(e); delete stepState[uid];
+    await ctx.reply(`❌ Failed to send the QR for ${txnId}. You can regenerate it once it expires (${fmtSg(Date.parse(win.qrExpiresAt))}).`);
+  }
+});
 
-    DB.sales.push({ operatorId:uid, operator, company:companyName||null, type:'single',
-      name:f.name, payment:'QR Code', amountBase:baseAmt, amount:payAmt,
-      transactionId:txnId, reference:ref, timestamp: new Date().toLocaleString("en-SG", { timeZone: "Asia/Singapore", hour12: false })
-    });
-    await saveDB();
+// QR expiry, driven by the stored qrExpiresAt from the periodic sweep (so a restart does not lose it): the photo
+// (qrPost) is removed and, if the sale is still unpaid, the operator gets a button to reissue it. qrExpiryNotified
+// is committed before posting, so each QR is announced once. QRs that expired over a day ago are left alone.
+const QR_EXPIRY_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+async function expireQrPost(telegram, s){
+  await store.updateSale(s.id, { qrExpiryNotified:true });
+  const chatId=s.qrPost?.chatId || s.chatId;
+  if (s.qrPost) try { await telegram.deleteMessage(s.qrPost.chatId, s.qrPost.messageId); } catch {}
+  if (s.status!==SALE_STATUS.PENDING || s.voided || !chatId) return;
+  try{
+    await telegram.sendMessage(chatId, `⌛ QR for <b>${escHtml(s.transactionId)}</b> (SGD ${fmt(s.amount)}) expired unpaid.`,
+      { parse_mode:'HTML', reply_markup:{ inline_keyboard:[[{ text:'🔄 Regenerate QR', callback_data:`qr_regen_${s.id}` }]] } });
+  }catch(e){ console.error('Failed to post QR expiry:', e.message); }
+}
+async function qrExpirySweep(now=Date.now()){
+  for (const s of DB.sales){
+    if (s.payment!=='QR Code' || !s.qrExpiresAt || s.qrExpiryNotified) continue;
+    const at=Date.parse(s.qrExpiresAt);
+    if (at<=now && at>now-QR_EXPIRY_LOOKBACK_MS) await expireQrPost(bot.telegram, s);
+  }
+}
+setInterval(()=>qrExpirySweep().catch(e=>console.error('QR expiry sweep failed:', e)), SESSION_SWEEP_MS).unref();
+
+// Regenerate QR — same TxnID, amount and reference with a fresh expiry, once the previous QR has expired
+bot.action(/^qr_regen_(\d+)$/, async (ctx)=>{
+  const uid=String(ctx.from.id); const s=store.getSale(Number(ctx.match[1]));
+  if (!s || !(String(s.operatorId)===uid || (can(uid,'reconcile') && inScope(uid, s.company)))) return ctx.answerCbQuery('❌ Sale not found.', { show_alert:true });
+  if (s.status!==SALE_STATUS.PENDING || s.voided || s.reversedBase) return ctx.answerCbQuery(`${s.transactionId} is ${s.voided?'void':s.reversedBase?'refunded':s.status}; there is nothing to regenerate.`, { show_alert:true });
+  if (qrExpiry(s)>Date.now()) return ctx.answerCbQuery(`The current QR is valid until ${fmtSg(qrExpiry(s))}.`, { show_alert:true });
+  const company=getCompany(s.company);
+  const proxyErr=payNowConfigError(company); if (proxyErr) return ctx.answerCbQuery(`❌ Cannot generate QR. ${proxyErr}`, { show_alert:true });
+  await ctx.answerCbQuery();
 
-    if (s.expiryTimer) clearTimeout(s.expiryTimer);
-    await tryDelete(ctx,s.overviewMsgId); await tryDelete(ctx,s.promptMsgId); delete stepState[uid];
+  const win=qrWindow();
+  try{
+    const buffer=await generatePayNowQR({ company, amount:s.amount, reference:s.reference, expiresAt:win.qrExpiresAt });
+    const caption=
+      `💳 <b>PayNow</b> (reissued)\n`+
+      `Pay to: <b>${payeeLabel(company)}</b>\n`+
+      `Transaction ID: <b>${escHtml(s.transactionId)}</b>\n`+
+      `Operator: <b>${escHtml(s.operator || '-')}${s.company?` (${escHtml(companyName(s.company))})`:''}</b>\n`+
+      `Name/Table: <b>${escHtml(s.name || '-')}</b>\n`+
+      `Charged: <b>SGD ${fmt(s.amount)}</b>\n`+
+      `Ref (QR): <code>${escHtml(s.reference)}</code>\n\n`+
+      qrExpiryLine(win.qrExpiresAt);
+    const msg=await ctx.replyWithPhoto({source:buffer},{caption,parse_mode:'HTML'});
+    await store.updateSale(s.id, { ...win, qrReissues:(s.qrReissues||0)+1, qrPost:{ chatId:ctx.chat.id, messageId:msg.message_id }, qrExpiryNotified:false });
+    await tryDelete(ctx, ctx.callbackQuery.message?.message_id);
   }catch(e){ console.error(e); await ctx.reply('❌ Failed to generate QR.'); }
 });
 
-// Cash (no +3% by default)
+// Cash (surcharge per pricing rule; none by default)
 bot.action('sale_finalize_cash', async (ctx)=>{
   await ctx.answerCbQuery();
   const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
   const operator=DB.users[uid]?.nickname || 'Unknown';
-  const companyName=DB.users[uid]?.company || '';
+  const companyId=DB.users[uid]?.company || '';
   const f=s.fields;
-  if (!(f.name && f.payment==='Cash')) return ctx.reply('❌ Missing details. Ensure Name/Table and Payment=Cash are provided.');
-  const baseAmt=(f.amount && f.amount>=MIN_AMOUNT)?f.amount:MIN_AMOUNT;
-
-  const txnId=nextTxnId(companyName);
-  await saveDB();
-  DB.sales.push({ operatorId:uid, operator, company:companyName||null, type:'single',
-    name:f.name, payment:'Cash', amountBase:baseAmt, amount:baseAmt,
-    transactionId:txnId, reference:null, timestamp:new Date().toISOString()
-  });
-  await saveDB();
+  if (orderOverMax(s)) return ctx.reply(`❌ ${overMaxText(s)}`);
+  if (!(detailsReady(s) && f.payment==='Cash' && amountInRange(s))) return ctx.reply('❌ Missing details. Ensure Recipient, Table and Payment=Cash are provided.');
+  const rule=saleRule(s), pricingVersion=DB.pricing.version;
+  const { base:baseAmt, surcharge, total }=quote(rule, 'Cash', s.multi ? saleBase(s) : clampAmount(rule, f.amount).value);
+
+  const txn=txnIds.reserve(companyId), txnId=txn.txnId;
+  let sale;
+  try {
+    sale=await store.insertSale({ operatorId:uid, operator, company:companyId||null, ...saleShape(s),
+      name:saleName(s), payment:'Cash', amountBase:baseAmt, amount:total, surcharge, pricingVersion,
+      transactionId:txnId, reference:null, status:SALE_STATUS.PAID, timestamp:new Date().toISOString(),
+      shiftId:openShiftFor(uid)?.id ?? null
+    }, txn.ops);
+  } catch(e){ console.error(e); return ctx.reply(`❌ Sale ${txnId} may not have been saved. Check /history before recording it again.`); }
 
   await ctx.reply(
     `✅ <b>Cash recorded</b>\n`+
     `Transaction ID: <b>${txnId}</b>\n`+
-    `Operator: <b>${operator}${companyName?` (${companyName})`:''}</b>\n`+
-    `Name/Table: <b>${f.name}</b>\n`+
-    `Collected: <b>SGD ${fmt(baseAmt)}</b>`,
+    `Operator: <b>${escHtml(operator)}${companyId?` (${escHtml(companyName(companyId))})`:''}</b>\n`+
+    renderSaleParty(s)+
+    (surcharge ? `Base: <b>SGD ${fmt(baseAmt)}</b>  (${describeSurcharge(rule.surcharge.Cash)} fee)\n` : '')+
+    `Collected: <b>SGD ${fmt(total)}</b>`,
     {parse_mode:'HTML'}
   );
+  await sendReceipt(ctx.telegram, ctx.chat.id, sale);
 
-  if (s.expiryTimer) clearTimeout(s.expiryTimer);
   await tryDelete(ctx,s.overviewMsgId); await tryDelete(ctx,s.promptMsgId); delete stepState[uid];
 });
 
@@ -574,323 +1213,1280 @@ bot.action('sale_finalize_cash', async (ctx)=>{
 bot.action('sale_cancel', async (ctx)=>{
   await ctx.answerCbQuery('Cancelled');
   const uid=String(ctx.from.id); const s=stepState[uid]; if (!s) return;
-  if (s.expiryTimer) clearTimeout(s.expiryTimer);
   await tryDelete(ctx,s.overviewMsgId); await tryDelete(ctx,s.promptMsgId); delete stepState[uid];
   await ctx.reply('❌ Sale cancelled.');
 });
 
 // Company selection (first-run)
-bot.action(/^company_(Lunar|Wave|Ion|101)$/, async (ctx)=>{
+bot.action(/^company_(\w+)$/, async (ctx)=>{
   await ctx.answerCbQuery();
   const uid=String(ctx.from.id); const company=ctx.match[1];
-  const user=DB.users[uid]||{}; user.company=company; DB.users[uid]=user; await saveDB();
-  const s=stepState[uid]; if (s?.promptMsgId) await tryDelete(ctx,s.promptMsgId); delete stepState[uid];
-  await ctx.reply(`✅ Company set to ${company}. Use /sale to start.`);
+  if (!getCompany(company)?.active) return ctx.reply('❌ That company is not available. Use /start to pick again.');
+  const s=stepState[uid];
+  // Only sign-up (or a user whose company was deactivated) picks a company here
+  if (!s || s.mode!=='company') return ctx.reply('Use /start to pick your company.');
+  await store.commit([ merge(['users',uid], { company }) ]);
+  if (s.promptMsgId) await tryDelete(ctx,s.promptMsgId); delete stepState[uid];
+  if (userRole(uid)==='owner') return ctx.reply(`✅ Company set to ${companyName(company)}. Use /sale to start.`);
+  await requestApproval(ctx, uid);
 });
 
-// history filters
-bot.action('hist_qr', async (ctx)=>{ await ctx.answerCbQuery(); const uid=String(ctx.from.id); const op=DB.users[uid]?.nickname||'Unknown'; await replyBig(ctx, renderHistoryChunk(filterMySales(uid,'QR Code'), op)); });
-bot.action('hist_cash', async (ctx)=>{ await ctx.answerCbQuery(); const uid=String(ctx.from.id); const op=DB.users[uid]?.nickname||'Unknown'; await replyBig(ctx, renderHistoryChunk(filterMySales(uid,'Cash'), op)); });
-bot.action('hist_all', async (ctx)=>{ await ctx.answerCbQuery(); const uid=String(ctx.from.id); const op=DB.users[uid]?.nickname||'Unknown'; await replyBig(ctx, renderHistoryChunk(filterMySales(uid,'ALL'), op)); });
-
-// Text capture (first-run name; /sale name + amount)
-bot.on('text', async (ctx,next)=>{
-  const uid=String(ctx.from.id); const msg=ctx.message.text?.trim()||''; if (msg.startsWith('/')) return next();
-  const s=stepState[uid]; if (!s) return next();
+// history navigation — edits the same message
+bot.action(/^hist_(shift|prevshift|7d)\.(all|qr|cash)\.(\d+)\.(.*)$/s, async (ctx)=>{
+  await ctx.answerCbQuery();
+  const [, period, method, page, q]=ctx.match;
+  const { text, keyboard }=historyView(String(ctx.from.id), { period, method, page:Number(page), q:historyQuery(q) });
+  try { await ctx.editMessageText(text, {parse_mode:'HTML', reply_markup:keyboard}); }
+  catch(e){ if (!/not modified/i.test(e.description || e.message)) throw e; }
+});
+// Filter buttons from before /history had pages: open the new view for this shift
+bot.action(/^hist_(qr|cash|all)$/, async (ctx)=>{
+  await ctx.answerCbQuery();
+  const { text, keyboard }=historyView(String(ctx.from.id), { period:'shift', method:ctx.match[1], page:0, q:'' });
+  await ctx.reply(text, {parse_mode:'HTML', reply_markup:keyboard});
+});
 
-  if (s.mode==='nickname' && s.awaiting==='nick'){
-    const user=DB.users[uid]||{}; user.nickname=msg; DB.users[uid]=user; await saveDB();
-    await tryDelete(ctx,ctx.message.message_id); await tryDelete(ctx,s.promptMsgId);
-    const kb={inline_keyboard:[[ {text:'Lunar',callback_data:'company_Lunar'},{text:'Wave',callback_data:'company_Wave'},
-                                 {text:'Ion',callback_data:'company_Ion'},{text:'101',callback_data:'company_101'} ]]};
-    const m=await ctx.reply(`Nice to meet you, ${user.nickname}! Choose your company:`,{reply_markup:kb});
-    s.mode='company'; s.awaiting='company'; s.promptMsgId=m.message_id; return;
+// ────────────────────────────────────────────────────────────────────────────
+// Payment reconciliation — bank credits → QR sales (pending → paid/underpaid)
+// ────────────────────────────────────────────────────────────────────────────
+async function notifyOperatorPaid(telegram, sale, credit){
+  const chatId=sale.chatId || sale.operatorId; if (!chatId) return;
+  const head = sale.status===SALE_STATUS.PAID
+    ? `✅ <b>QR paid</b>`
+    : `⚠️ <b>QR underpaid</b> — received SGD ${fmt(sale.paidAmount)} of SGD ${fmt(sale.amount)}`;
+  const late = credit.late ? `⌛ Paid after the QR expired (${fmtSg(qrExpiry(sale))})\n` : '';
+  try{
+    await telegram.sendMessage(chatId,
+      `${head}\n`+late+
+      `Transaction ID: <b>${escHtml(sale.transactionId || '-')}</b>\n`+
+      `Name/Table: <b>${escHtml(sale.name || '-')}</b>\n`+
+      `Credit: <b>SGD ${fmt(credit.amount)}</b>${credit.payer?` from ${escHtml(credit.payer)}`:''}\n`+
+      `Ref: <code>${escHtml(sale.reference)}</code>`,
+      {parse_mode:'HTML'});
+  }catch(e){ console.error('Failed to notify operator:', e.message); }
+}
+// Records one credit and settles the sale it belongs to (if any). Duplicate credits are ignored (only keyed ones).
+// Credits paid after the sale's QR expired are still applied, but flagged late on the credit and the sale.
+async function applyBankCredit(telegram, credit){
+  const key=creditKey(credit);
+  if (key && DB.payments.some(p=>p.key===key)) return { duplicate:true };
+  const sale=findSaleForCredit(DB.sales, credit);
+  if (!sale){ const sq=findStaticQrForCredit(DB.staticQrs, credit); if (sq) return applyStaticQrCredit(telegram, sq, key, credit); }
+  if (sale && saleClosed(sale)) return applyVoidCredit(telegram, sale, key, credit);
+  const paidAt=credit.paidAt ?? Date.now();
+  const late=!!sale && paidAt>qrExpiry(sale), wasPaid=sale?.status===SALE_STATUS.PAID;
+  const ops=[ push(['payments'], { key, ...credit, status: sale?CREDIT_STATUS.MATCHED:CREDIT_STATUS.UNMATCHED,
+    saleId: sale?.id ?? null, transactionId: sale?.transactionId || null, late, receivedAt:new Date().toISOString() }) ];
+  if (sale){
+    const paidAmount=Number((Number(sale.paidAmount||0)+credit.amount).toFixed(2));
+    ops.push(patch('sales', sale.id, { paidAmount, status:settlementStatus(sale, paidAmount), paidAt:new Date(paidAt).toISOString(), ...(late?{ paidLate:true }:{}) }));
   }
-
-  if (s.mode==='sale' && s.awaiting){
-    if (s.awaiting==='name'){
-      s.fields.name=msg;
-      await tryDelete(ctx,ctx.message.message_id); await tryDelete(ctx,s.promptMsgId);
-      s.awaiting=null; s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s); return;
-    } else if (s.awaiting==='amount'){
-      let val=Number(msg);
-      if (!Number.isFinite(val) || val<MIN_AMOUNT){ val=MIN_AMOUNT; await ctx.reply(`ℹ️ Amount set to minimum: ${MIN_AMOUNT}`); }
-      s.fields.amount=val;
-      await tryDelete(ctx,ctx.message.message_id); await tryDelete(ctx,s.promptMsgId);
-      s.awaiting=null; s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s); return;
-    }
+  await store.commit(ops);
+  if (sale) await notifyOperatorPaid(telegram, sale, { ...credit, late });
+  if (sale && !wasPaid && sale.status===SALE_STATUS.PAID && (sale.chatId || sale.operatorId)) await sendReceipt(telegram, sale.chatId || sale.operatorId, sale);
+  if (late && ADMIN_CHAT_ID){
+    try { await telegram.sendMessage(ADMIN_CHAT_ID, `⌛ <b>Late QR payment</b>: SGD ${fmt(credit.amount)} for <code>${sale.transactionId}</code> at ${fmtSg(paidAt)}; the QR expired ${fmtSg(qrExpiry(sale))}.`, {parse_mode:'HTML'}); }
+    catch(e){ console.error('Failed to notify admins:', e.message); }
+  }
+  return { sale, late };
+}
+// A credit for a sale that was voided or refunded: kept for the admins to refund, the sale is not marked paid
+async function applyVoidCredit(telegram, sale, key, credit){
+  await store.commit([ push(['payments'], { key, ...credit, status:CREDIT_STATUS.VOID, saleId:sale.id, transactionId:sale.transactionId || null,
+    late:false, receivedAt:new Date().toISOString() }) ]);
+  if (ADMIN_CHAT_ID){
+    try {
+      await telegram.sendMessage(ADMIN_CHAT_ID,
+        `🚫 <b>Payment for a ${sale.voided?'voided':'refunded'} sale</b>: SGD ${fmt(credit.amount)}${credit.payer?` from ${escHtml(credit.payer)}`:''} for <code>${sale.transactionId || '-'}</code>
+`+
+        `The sale was not marked paid; refund the payer or settle it by hand. It is listed under /unpaid.`, {parse_mode:'HTML'});
+    } catch(e){ console.error('Failed to notify admins:', e.message); }
+  }
+  return { void:true, sale:null };
+}
+// A credit against a static QR (/staticqr) becomes its own sale: the QR's company and table, no operator or surcharge
+async function applyStaticQrCredit(telegram, sq, key, credit){
+  const paidAt=credit.paidAt ?? Date.now(), at=new Date(paidAt).toISOString();
+  const amount=sq.amount ?? credit.amount, status=settlementStatus({ amount }, credit.amount);
+  const txn=txnIds.reserve(sq.company, paidAt), saleId=DB.meta.nextSaleId;
+  // no release() on failure: the ops are already applied in memory
+  const sale=await store.insertSale({ operatorId:null, operator:STATIC_QR_OPERATOR, company:sq.company, type:'single',
+    recipient:null, table:sq.table, set:null, name:sq.table ? `Table ${sq.table}` : companyName(sq.company),
+    payment:'QR Code', amountBase:amount, amount, surcharge:0, pricingVersion:null,
+    transactionId:txn.txnId, reference:sq.reference, staticQr:sq.id, status, paidAmount:credit.amount, paidAt:at,
+    timestamp:at, shiftId:null
+  }, [ ...txn.ops, push(['payments'], { key, ...credit, status:CREDIT_STATUS.MATCHED, saleId, transactionId:txn.txnId,
+    staticQr:sq.id, late:false, receivedAt:new Date().toISOString() }) ]);
+  if (ADMIN_CHAT_ID){
+    try {
+      await telegram.sendMessage(ADMIN_CHAT_ID,
+        `🪧 <b>Static QR payment</b>: SGD ${fmt(credit.amount)}${status===SALE_STATUS.UNDERPAID?` of SGD ${fmt(amount)} (underpaid)`:''} — ${staticQrLabel(sq)}\n`+
+        `Transaction ID: <b>${escHtml(sale.transactionId)}</b> | Ref <code>${sq.reference}</code>`, {parse_mode:'HTML'});
+    } catch(e){ console.error('Failed to notify admins:', e.message); }
+  }
+  return { sale, late:false };
+}
+async function applyBankCredits(telegram, credits){
+  const tally={ paid:0, underpaid:0, unmatched:0, void:0, duplicate:0, late:0 };
+  for (const c of credits){
+    const r=await applyBankCredit(telegram, c);
+    if (r.duplicate) tally.duplicate++;
+    else if (r.void) tally.void++;
+    else if (!r.sale) tally.unmatched++;
+    else tally[r.sale.status===SALE_STATUS.PAID?'paid':'underpaid']++;
+    if (r.late) tally.late++;
   }
+  return tally;
+}
+function renderTally(t){ return `Paid: <b>${t.paid}</b> | Underpaid: <b>${t.underpaid}</b> | Unmatched: <b>${t.unmatched}</b>`+(t.void?` | For void sales: <b>${t.void}</b>`:'')+` | Duplicates: <b>${t.duplicate}</b>`+(t.late?` | Late: <b>${t.late}</b>`:''); }
 
-  return next();
+bot.command('bankimport', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'reconcile')) return ctx.reply('🚫 You are not authorized to use /bankimport.');
+  const kb={inline_keyboard:[[ {text:'❌ Cancel',callback_data:'bank_cancel'} ]]};
+  const m=await ctx.reply('🏦 <b>Bank import</b> — send the bank statement as a <b>CSV</b> file.',{parse_mode:'HTML', reply_markup:kb});
+  stepState[uid]={ mode:'bankimport', awaiting:'bank_csv', promptMsgId:m.message_id, overviewMsgId:null, fields:{} };
+});
+bot.action('bank_cancel', async (ctx)=>{
+  await ctx.answerCbQuery('Cancelled');
+  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='bankimport') return;
+  await tryDelete(ctx, s.promptMsgId); delete stepState[uid];
+  await ctx.reply('❌ Bank import cancelled.');
+});
+bot.on('document', async (ctx,next)=>{
+  const uid=String(ctx.from.id); const s=stepState[uid];
+  const viaCaption=/^\/bankimport\b/.test(ctx.message.caption||'');
+  if (!(s?.mode==='bankimport' || viaCaption)) return next();
+  if (!can(uid,'reconcile')) return ctx.reply('🚫 You are not authorized to use /bankimport.');
+  try{
+    const link=await ctx.telegram.getFileLink(ctx.message.document.file_id);
+    const res=await fetch(link.href); if (!res.ok) throw new Error(`download failed (${res.status})`);
+    const credits=parseBankCsv(await res.text());
+    const tally=await applyBankCredits(ctx.telegram, credits);
+    if (s?.mode==='bankimport'){ await tryDelete(ctx, s.promptMsgId); delete stepState[uid]; }
+    await ctx.reply(`🏦 <b>Bank import</b> — ${credits.length} credit(s) read\n${renderTally(tally)}`,{parse_mode:'HTML'});
+  }catch(e){ console.error(e); await ctx.reply(`❌ Could not import statement: ${e.message}`); }
+});
+
+// /unpaid (admin) — QR sales never (fully) settled, newest first, plus unmatched credits
+bot.command('unpaid', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'reconcile')) return ctx.reply('🚫 You are not authorized to use /unpaid.');
+  const open=DB.sales.filter(s=>(s.status===SALE_STATUS.PENDING || s.status===SALE_STATUS.UNDERPAID) && !saleClosed(s)).reverse();
+  const unmatched=DB.payments.filter(p=>p.status===CREDIT_STATUS.UNMATCHED || p.status===CREDIT_STATUS.VOID).reverse();
+  if (!open.length && !unmatched.length) return ctx.reply('✅ All issued QRs are settled.');
+  let out=`🧾 <b>Unsettled QRs</b> (${open.length})\n\n`;
+  open.forEach((s,i)=>{
+    out += `${i+1}. <code>${escHtml(s.transactionId || '-')}</code> | ${escHtml(s.operator || '-')}${s.company?` (${escHtml(companyName(s.company))})`:''} | ${escHtml(s.name || '-')}\n`;
+    out += `   ${s.status==='underpaid'?`Underpaid: SGD ${fmt(s.paidAmount)} of`:'Charged:'} <b>SGD ${fmt(s.amount)}</b>\n`;
+    out += `   Ref: <code>${escHtml(s.reference)}</code> | ${fmtSg(parseSaleTime(s.timestamp))}${!s.staticQr && qrExpiry(s)<=Date.now()?' | ⌛ QR expired':''}\n\n`;
+  });
+  if (unmatched.length){
+    out += `❓ <b>Unapplied credits</b> (${unmatched.length})\n\n`;
+    unmatched.forEach((p,i)=>{
+      out += `${i+1}. SGD <b>${fmt(p.amount)}</b> | ${escHtml(p.payer || '-')} | ${fmtSg(p.paidAt ?? Date.parse(p.receivedAt))}\n`;
+      out += `   Ref: <code>${escHtml(p.reference || '-')}</code>${p.status===CREDIT_STATUS.VOID?` | 🚫 for void/refunded <code>${escHtml(p.transactionId || '-')}</code>`:''}\n\n`;
+    });
+  }
+  await replyBig(ctx, out);
 });
 
 // ────────────────────────────────────────────────────────────────────────────
-// /report flow (company → scope → operator) with NET subtotal
+// Company admin — /companies (list) and /company <add|rename|prefix|paynow|merchant|activate|deactivate>
 // ────────────────────────────────────────────────────────────────────────────
-bot.command('report', async (ctx)=>{
-  const uid=String(ctx.from.id);
-  if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 You are not authorized to use /report.');
-  if (!ADMIN_CHAT_ID) return ctx.reply('⚠️ ADMIN_CHAT_ID is not set in .env');
-  try { await ctx.telegram.getChat(ADMIN_CHAT_ID); } catch(e){ return ctx.reply(`⚠️ I can’t access ADMIN_CHAT_ID (${ADMIN_CHAT_ID}). Add me to that group.\n${e.message}`); }
+const COMPANY_USAGE = [
+  '🏢 <b>/company</b> usage:',
+  '<code>/company add PREFIX Name</code>',
+  '<code>/company rename ID New name</code>',
+  '<code>/company prefix ID PREFIX</code>',
+  '<code>/company paynow ID uen UEN</code> | <code>/company paynow ID mobile 9XXXXXXX</code>',
+  '<code>/company merchant ID Merchant name</code> | <code>/company city ID City</code>',
+  '<code>/company deactivate ID</code> | <code>/company activate ID</code>'
+].join('\n');
+function renderCompanies(){
+  const list=listCompanies();
+  if (!list.length) return '📭 No companies yet. Add one with <code>/company add PREFIX Name</code>.';
+  return '🏢 <b>Companies</b>\n\n'+list.map(c=>{
+    const proxy=c.paynow?.mode==='mobile' ? `mobile ${c.paynow.mobile||'—'}` : `UEN ${c.paynow?.uen||'—'}`;
+    return `${c.active?'✅':'⛔'} <b>${escHtml(c.name)}</b> — id <code>${c.id}</code> | prefix <code>${c.prefix}</code>\n`+
+           `   PayNow: ${proxy} | Merchant: ${escHtml(c.merchantName||'—')}, ${escHtml(c.merchantCity||'Singapore')}`;
+  }).join('\n\n');
+}
+function prefixError(prefix, exceptId){
+  if (!/^[A-Z0-9]{1,3}$/.test(prefix)) return 'Prefix must be 1–3 letters/digits.';
+  const clash=Object.values(DB.companies).find(c=>c.prefix===prefix && c.id!==exceptId);
+  return clash ? `Prefix ${prefix} is already used by ${clash.name}.` : null;
+}
 
-  const rows = [
-    [{ text:'Lunar', callback_data:'rep_company_Lunar' }, { text:'Wave', callback_data:'rep_company_Wave' }],
-    [{ text:'Ion',   callback_data:'rep_company_Ion'   }, { text:'101',  callback_data:'rep_company_101'  }]
-  ];
-  const m = await ctx.reply('📑 <b>Report</b> — Step 1/3: Choose <b>Company</b>', { parse_mode:'HTML', reply_markup:{ inline_keyboard:rows } });
-  stepState[uid]={ mode:'report', awaiting:'rep_company', promptMsgId:m.message_id, overviewMsgId:null, expiryTimer:null, fields:{}, report:{} };
+bot.command('companies', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'configure')) return ctx.reply('🚫 You are not authorized to use /companies.');
+  await ctx.reply(renderCompanies(),{parse_mode:'HTML'});
 });
-bot.action(/^rep_company_(Lunar|Wave|Ion|101)$/, async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 Not authorized.');
-  const s=stepState[uid]; if (!s || s.mode!=='report') return;
-  const company=ctx.match[1]; s.report.company=company;
 
-  const kb={ inline_keyboard:[
-    [{ text:'Individual', callback_data:'rep_scope_ME' }, { text:'All', callback_data:'rep_scope_ALL' }],
-    [{ text:'❌ Cancel', callback_data:'rep_cancel' }]
-  ]};
-  const m=await ctx.reply(`📑 <b>Report</b> — Step 2/3: Scope for <b>${company}</b>`, { parse_mode:'HTML', reply_markup:kb });
-  await tryDelete(ctx, s.promptMsgId); s.promptMsgId=m.message_id; s.awaiting='rep_scope';
+bot.command('company', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'configure')) return ctx.reply('🚫 You are not authorized to use /company.');
+  const [, sub='', arg1='', ...rest]=ctx.message.text.trim().split(/\s+/);
+  const action=sub.toLowerCase();
+  if (action==='add'){
+    const prefix=arg1.toUpperCase(), name=rest.join(' ').trim();
+    if (!name) return ctx.reply(COMPANY_USAGE,{parse_mode:'HTML'});
+    const err=prefixError(prefix); if (err) return ctx.reply(`❌ ${err}`);
+    const id=newCompanyId(name);
+    const order=Math.max(-1, ...listCompanies().map(c=>c.order??0))+1;
+    await store.commit([ set(['companies',id], { id, name, prefix, order, paynow:{ mode:MODE, uen:UEN, mobile:MOBILE }, merchantName:MERCHANT_NAME, merchantCity:MERCHANT_CITY, active:true }) ]);
+    return ctx.reply(`✅ Added <b>${escHtml(name)}</b> (id <code>${id}</code>, prefix <code>${prefix}</code>). It uses the default PayNow account until you set one with /company paynow.`,{parse_mode:'HTML'});
+  }
+
+  const c=getCompany(arg1);
+  if (!['rename','prefix','paynow','merchant','city','activate','deactivate'].includes(action)) return ctx.reply(COMPANY_USAGE,{parse_mode:'HTML'});
+  if (!c) return ctx.reply(`❌ Unknown company id "${arg1}". See /companies.`);
+  switch (action){
+    case 'rename': {
+      const name=rest.join(' ').trim(); if (!name) return ctx.reply(COMPANY_USAGE,{parse_mode:'HTML'});
+      await store.commit([ merge(['companies',c.id], { name }) ]);
+      return ctx.reply(`✅ ${c.id} renamed to ${name}.`);
+    }
+    case 'prefix': {
+      const prefix=(rest[0]||'').toUpperCase();
+      const err=prefixError(prefix, c.id); if (err) return ctx.reply(`❌ ${err}`);
+      await store.commit([ merge(['companies',c.id], { prefix }) ]);
+      return ctx.reply(`✅ ${c.name} TxnIDs now start with ${prefix}.`);
+    }
+    case 'paynow': {
+      const mode=(rest[0]||'').toLowerCase(), value=rest.slice(1).join('');
+      if (!['uen','mobile'].includes(mode) || !value) return ctx.reply(COMPANY_USAGE,{parse_mode:'HTML'});
+      const paynow={ mode, uen: mode==='uen'?value.toUpperCase():'', mobile: mode==='mobile'?value:'' };
+      try { buildPayNowAccount(paynow); } catch(e){ return ctx.reply(`❌ ${e.message}`); }
+      await store.commit([ merge(['companies',c.id], { paynow }) ]);
+      return ctx.reply(`✅ ${c.name} now receives PayNow on ${mode==='uen'?'UEN':'mobile'} ${value}.`);
+    }
+    case 'merchant': {
+      const merchantName=rest.join(' ').trim(); if (!merchantName) return ctx.reply(COMPANY_USAGE,{parse_mode:'HTML'});
+      await store.commit([ merge(['companies',c.id], { merchantName }) ]);
+      return ctx.reply(`✅ ${c.name} merchant name set to ${merchantName}.`);
+    }
+    case 'city': {
+      const merchantCity=rest.join(' ').trim(); if (!merchantCity) return ctx.reply(COMPANY_USAGE,{parse_mode:'HTML'});
+      await store.commit([ merge(['companies',c.id], { merchantCity }) ]);
+      return ctx.reply(`✅ ${c.name} merchant city set to ${merchantCity}.`);
+    }
+    case 'deactivate': {
+      if (c.active && activeCompanies().length===1) return ctx.reply('❌ At least one company must stay active.');
+      await store.commit([ merge(['companies',c.id], { active:false }) ]);
+      return ctx.reply(`⛔ ${c.name} deactivated. Its operators will be asked to pick another company on their next /sale.`);
+    }
+    case 'activate': {
+      await store.commit([ merge(['companies',c.id], { active:true }) ]);
+      return ctx.reply(`✅ ${c.name} is active again.`);
+    }
+  }
 });
 
-bot.action(/^rep_scope_(ME|ALL)$/, async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 Not authorized.');
-  const s=stepState[uid]; if (!s || s.mode!=='report') return;
-  const scope=ctx.match[1]; s.report.scope=scope;
+// ────────────────────────────────────────────────────────────────────────────
+// /pricing (admin) — surcharge per company × method, min/max, presets. Target "*" = default rule.
+// ────────────────────────────────────────────────────────────────────────────
+const PRICING_USAGE = [
+  '💲 <b>/pricing</b> usage (<code>*</code> = default, otherwise a company id):',
+  '<code>/pricing surcharge * qr 3 [flat]</code> — percent, optional flat SGD',
+  '<code>/pricing min Lunar 200</code> | <code>/pricing max * 5000</code> | <code>/pricing max * none</code>',
+  '<code>/pricing presets * 100,200,300,500</code>',
+  '<code>/pricing reset Lunar</code> — drop a company override'
+].join('\n');
+const METHOD_ALIASES = { qr:'QR Code', cash:'Cash' };
+function renderRule(rule){
+  return `min ${rule.min} | max ${rule.max ?? '—'} | presets ${rule.presets.join(', ')}\n`+
+         `   ${METHODS.map(m=>`${m} ${describeSurcharge(rule.surcharge[m])}`).join(' | ')}`;
+}
+function renderPricing(){
+  const { version, rules }=DB.pricing;
+  let out=`💲 <b>Pricing</b> (version ${version})\n\n<b>Default</b>: ${renderRule(resolveRule(rules, null))}\n`;
+  for (const c of listCompanies()){
+    if (rules[c.id]) out+=`\n<b>${escHtml(c.name)}</b> (override): ${renderRule(resolveRule(rules, c.id))}\n`;
+  }
+  return out;
+}
+// Applies `edit` to a copy of the rules, validates every effective rule, then commits a new version
+async function updatePricing(by, edit){
+  const rules=JSON.parse(JSON.stringify(DB.pricing.rules));
+  edit(rules);
+  for (const id of [null, ...Object.keys(DB.companies)]) validateRule(resolveRule(rules, id));
+  const version=DB.pricing.version+1;
+  await store.commit([
+    set(['pricing','rules'], rules), set(['pricing','version'], version),
+    push(['pricing','history'], { version, at:new Date().toISOString(), by, rules })
+  ]);
+  return version;
+}
 
-  if (scope==='ALL'){
-    const rows = buildReportRows({ sinceMs: tenHoursAgoMs(), company: s.report.company, operatorId: null });
-    await sendReportToAdmin(ctx, rows, `${s.report.company} • All Operators`);
-    await tryDelete(ctx, s.promptMsgId); delete stepState[uid]; return;
+bot.command('pricing', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'configure')) return ctx.reply('🚫 You are not authorized to use /pricing.');
+  const [, sub='', target='', ...rest]=ctx.message.text.trim().split(/\s+/);
+  const action=sub.toLowerCase();
+  if (!action) return ctx.reply(`${renderPricing()}\n${PRICING_USAGE}`,{parse_mode:'HTML'});
+  if (!['surcharge','min','max','presets','reset'].includes(action)) return ctx.reply(PRICING_USAGE,{parse_mode:'HTML'});
+  const key = target==='*' ? 'default' : target;
+  if (key!=='default' && !getCompany(key)) return ctx.reply(`❌ Unknown company id "${target}". See /companies.`);
+
+  let edit;
+  switch (action){
+    case 'surcharge': {
+      const method=METHOD_ALIASES[(rest[0]||'').toLowerCase()];
+      const pct=Number(String(rest[1]??'').replace('%','')), flat=Number(rest[2]??0);
+      if (!method || !Number.isFinite(pct) || !Number.isFinite(flat)) return ctx.reply(PRICING_USAGE,{parse_mode:'HTML'});
+      edit=(rules)=>{ const r=(rules[key] ||= {}); r.surcharge={ ...(r.surcharge||{}), [method]:{ pct, flat } }; };
+      break;
+    }
+    case 'min': {
+      const min=Number(rest[0]); if (!Number.isFinite(min)) return ctx.reply(PRICING_USAGE,{parse_mode:'HTML'});
+      edit=(rules)=>{ (rules[key] ||= {}).min=min; };
+      break;
+    }
+    case 'max': {
+      const none=/^none$/i.test(rest[0]||''), max=Number(rest[0]);
+      if (!none && !Number.isFinite(max)) return ctx.reply(PRICING_USAGE,{parse_mode:'HTML'});
+      edit=(rules)=>{ (rules[key] ||= {}).max = none ? null : max; };
+      break;
+    }
+    case 'presets': {
+      const presets=rest.join('').split(',').map(Number).filter(n=>Number.isFinite(n) && n>0);
+      if (!presets.length) return ctx.reply(PRICING_USAGE,{parse_mode:'HTML'});
+      edit=(rules)=>{ (rules[key] ||= {}).presets=[...new Set(presets)].sort((a,b)=>a-b); };
+      break;
+    }
+    case 'reset': {
+      if (key==='default') return ctx.reply('❌ The default rule cannot be reset; edit it instead.');
+      edit=(rules)=>{ delete rules[key]; };
+      break;
+    }
   }
+  try {
+    const version=await updatePricing(uid, edit);
+    await ctx.reply(`✅ Pricing updated (version ${version}).\n\n${renderPricing()}`,{parse_mode:'HTML'});
+  } catch(e){ await ctx.reply(`❌ ${e.message}`); }
+});
 
-  // Individual → pick operator in that company
-  const ops = Object.entries(DB.users)
-    .filter(([id,u]) => (u?.company || '') === s.report.company)
-    .map(([id,u]) => ({ id, nickname: u.nickname || id }));
-  if (!ops.length){
-    await tryDelete(ctx, s.promptMsgId); delete stepState[uid];
-    return ctx.reply(`📭 No operators found for ${s.report.company}.`);
+// ────────────────────────────────────────────────────────────────────────────
+// Voids (/void, operator → admin approval) and refunds (/refund, admin)
+// DB.reversals keeps the audit trail; the sale row is never edited except for
+// the reversedBase/reversedAmount/voided summary that reports read.
+// ────────────────────────────────────────────────────────────────────────────
+function saleTimeMs(s){ return parseSaleTime(s.timestamp); }
+// Most recent sale with this TxnID (IDs issued before lib/txnid.js restarted every noon)
+function findSaleByTxn(txnId, operatorId){
+  const want=String(txnId||'').toUpperCase();
+  for (let i=DB.sales.length-1;i>=0;i--){
+    const s=DB.sales[i];
+    if (String(s.transactionId||'').toUpperCase()!==want) continue;
+    if (operatorId && String(s.operatorId)!==String(operatorId)) continue;
+    return s;
   }
-  const rows=[];
-  for (let i=0;i<ops.length;i+=2){ rows.push(ops.slice(i,i+2).map(o=>({ text:o.nickname, callback_data:`rep_op_${o.id}` }))); }
-  rows.push([{ text:'⬅️ Back', callback_data:'rep_scope_back' }, { text:'❌ Cancel', callback_data:'rep_cancel' }]);
+  return null;
+}
+function nextReversalId(){ return (DB.reversals.at(-1)?.id || 0)+1; }
+// Charged amount still refundable, and the NET share of a charged amount
+function refundableAmount(s){ return Number((Number(s.amount||0)-Number(s.reversedAmount||0)).toFixed(2)); }
+function baseShare(s, amount){ return s.amount ? Number((amount*Number(s.amountBase ?? s.amount)/Number(s.amount)).toFixed(2)) : 0; }
+function reversalOps(s, rev){
+  return [
+    patch('sales', s.id, {
+      reversedAmount:Number((Number(s.reversedAmount||0)+rev.amount).toFixed(2)),
+      reversedBase:Number((Number(s.reversedBase||0)+rev.amountBase).toFixed(2)),
+      ...(rev.kind==='void' ? { voided:true } : {})
+    })
+  ];
+}
+function renderReversal(rev, s){
+  return `${rev.kind==='void'?'🚫 <b>Void</b>':'↩️ <b>Refund</b>'} #${rev.id} — <code>${rev.transactionId}</code>\n`+
+    `Operator: <b>${escHtml(s.operator || '-')}${s.company?` (${escHtml(companyName(s.company))})`:''}</b> | Name/Table: <b>${escHtml(s.name || '-')}</b>\n`+
+    `Sale: SGD ${fmt(s.amount)} (${s.payment}) | Reversing: <b>SGD ${fmt(rev.amount)}</b> (net ${fmt(rev.amountBase)})\n`+
+    `Reason: ${escHtml(rev.reason)}`;
+}
 
-  const m=await ctx.reply(`📑 <b>Report</b> — Step 3/3: Pick <b>Operator</b> in ${s.report.company}`, { parse_mode:'HTML', reply_markup:{inline_keyboard:rows} });
-  await tryDelete(ctx, s.promptMsgId); s.promptMsgId=m.message_id; s.awaiting='rep_operator';
+bot.command('void', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  const [, txnId='', ...why]=ctx.message.text.trim().split(/\s+/); const reason=why.join(' ').trim();
+  if (!txnId || !reason) return ctx.reply('Usage: /void <TxnID> <reason>\nExample: /void L251019-012 wrong table');
+  if (!ADMIN_CHAT_ID) return ctx.reply('⚠️ ADMIN_CHAT_ID is not set in .env, so voids cannot be approved.');
+  const s=findSaleByTxn(txnId, uid);
+  if (!s) return ctx.reply(`❌ No sale ${txnId} recorded by you.`);
+  const at=saleTimeMs(s);
+  if (at===null || Date.now()-at>VOID_WINDOW_MS) return ctx.reply(`⌛ ${s.transactionId} is older than ${VOID_WINDOW_MS/60000} minutes and can no longer be voided. Ask an admin for a /refund.`);
+  if (s.voided) return ctx.reply(`ℹ️ ${s.transactionId} is already voided.`);
+  if (saleShiftLocked(s)) return ctx.reply(`🔒 ${s.transactionId} belongs to a closed shift and can no longer be changed.`);
+  if (DB.reversals.some(r=>r.saleId===s.id && r.status==='requested')) return ctx.reply(`ℹ️ A void for ${s.transactionId} is already waiting for approval.`);
+
+  const amount=refundableAmount(s);
+  const rev={ id:nextReversalId(), kind:'void', status:'requested', saleId:s.id, transactionId:s.transactionId,
+    amount, amountBase:Number((netBase(s)).toFixed(2)), reason, requestedBy:uid, requestedAt:new Date().toISOString(), requestChatId:ctx.chat.id };
+  await store.commit([ push(['reversals'], rev) ]);
+  const kb={inline_keyboard:[[ {text:'✅ Approve',callback_data:`void_ok_${rev.id}`}, {text:'❌ Reject',callback_data:`void_no_${rev.id}`} ]]};
+  await ctx.telegram.sendMessage(ADMIN_CHAT_ID, `${renderReversal(rev, s)}\nRequested by: <b>${escHtml(DB.users[uid]?.nickname || uid)}</b>`, {parse_mode:'HTML', reply_markup:kb});
+  await ctx.reply(`📨 Void request for ${s.transactionId} sent to the admins.`);
 });
 
-bot.action('rep_scope_back', async (ctx)=>{
+bot.action(/^void_(ok|no)_(\d+)$/, async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'approve')) return ctx.answerCbQuery('🚫 Not authorized.');
+  const rev=DB.reversals.find(r=>r.id===Number(ctx.match[2]));
+  if (!rev || rev.status!=='requested') return ctx.answerCbQuery('Already handled.');
+  const s=store.getSale(rev.saleId);
+  if (!inScope(uid, s.company)) return ctx.answerCbQuery(`🚫 Only an owner or a ${companyName(s.company)} manager can decide this.`, { show_alert:true });
+  const approve=ctx.match[1]==='ok';
+  if (approve && saleShiftLocked(s)) return ctx.answerCbQuery('🔒 The sale\'s shift is closed; reject this request instead.', { show_alert:true });
   await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s || s.mode!=='report') return;
-  const kb={ inline_keyboard:[
-    [{ text:'Individual', callback_data:'rep_scope_ME' }, { text:'All', callback_data:'rep_scope_ALL' }],
-    [{ text:'❌ Cancel', callback_data:'rep_cancel' }]
-  ]};
-  const m=await ctx.reply(`📑 <b>Report</b> — Step 2/3: Scope for <b>${s.report.company}</b>`, { parse_mode:'HTML', reply_markup:kb });
-  await tryDelete(ctx, s.promptMsgId); s.promptMsgId=m.message_id; s.awaiting='rep_scope';
+  const decided={ status: approve?'approved':'rejected', decidedBy:uid, decidedAt:new Date().toISOString() };
+  await store.commit([ patch('reversals', rev.id, decided), ...(approve ? reversalOps(s, rev) : []) ]);
+
+  const by=DB.users[uid]?.nickname || ctx.from.first_name || uid;
+  try { await ctx.editMessageText(`${renderReversal(rev, s)}\n${approve?'✅ Approved':'❌ Rejected'} by <b>${escHtml(by)}</b>`, {parse_mode:'HTML'}); } catch {}
+  try { await ctx.telegram.sendMessage(rev.requestChatId || rev.requestedBy, `${approve?'✅':'❌'} Void of ${rev.transactionId} was ${decided.status} by ${by}.`); } catch {}
 });
 
-bot.action(/^rep_op_(\d+)$/, async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 Not authorized.');
-  const s=stepState[uid]; if (!s || s.mode!=='report') return;
+bot.command('refund', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'refund')) return ctx.reply('🚫 You are not authorized to use /refund.');
+  const [, txnId='', ...rest]=ctx.message.text.trim().split(/\s+/);
+  const hasAmount=/^\d+(\.\d+)?$/.test(rest[0]||'');
+  const reason=(hasAmount ? rest.slice(1) : rest).join(' ').trim();
+  if (!txnId || !reason) return ctx.reply('Usage: /refund <TxnID> [amount] <reason>\nWithout an amount the whole remaining charge is refunded.');
+  const s=findSaleByTxn(txnId);
+  if (!s || !inScope(uid, s.company)) return ctx.reply(`❌ No sale ${txnId} found.`);
+  if (saleShiftLocked(s)) return ctx.reply(`🔒 ${s.transactionId} belongs to a closed shift and can no longer be changed.`);
+  const max=refundableAmount(s);
+  const amount=hasAmount ? Number(rest[0]) : max;
+  if (!(amount>0) || amount>max) return ctx.reply(`❌ Refund must be between 0 and SGD ${fmt(max)} (already reversed: SGD ${fmt(s.reversedAmount||0)}).`);
+
+  const now=new Date().toISOString();
+  const rev={ id:nextReversalId(), kind:'refund', status:'approved', saleId:s.id, transactionId:s.transactionId,
+    amount, amountBase:baseShare(s, amount), reason, requestedBy:uid, requestedAt:now, decidedBy:uid, decidedAt:now };
+  await store.commit([ push(['reversals'], rev), ...reversalOps(s, rev) ]);
+  await ctx.reply(`${renderReversal(rev, s)}\n✅ Recorded. Remaining: SGD ${fmt(refundableAmount(s))}`, {parse_mode:'HTML'});
+});
 
-  const targetId = ctx.match[1];
-  const rows = buildReportRows({ sinceMs: tenHoursAgoMs(), company: s.report.company, operatorId: targetId });
-  const opName = DB.users[targetId]?.nickname || targetId;
+// ────────────────────────────────────────────────────────────────────────────
+// Shifts (/shift_open, /shift_close) — per operator; sales made while a shift is open carry its
+// shiftId. Closing records the counted cash, stores the settlement and locks the shift's sales
+// (no further voids/refunds).
+// ────────────────────────────────────────────────────────────────────────────
+function openShiftFor(uid){ return DB.shifts.find(sh=>sh.operatorId===String(uid) && sh.status==='open') || null; }
+function nextShiftId(){ return (DB.shifts.at(-1)?.id || 0)+1; }
+function saleShiftLocked(s){ return !!(s.shiftId && DB.shifts.find(sh=>sh.id===s.shiftId)?.status==='closed'); }
+function parseMoney(v){ return /^\d+(\.\d{1,2})?$/.test(String(v||'')) ? Number(v) : NaN; }
+
+// Settlement figures for a shift; charged amounts are net of refunds, surcharge is what was kept
+function shiftSettlement(shift, counted){
+  const sales=DB.sales.filter(s=>s.shiftId===shift.id);
+  const by={};
+  for (const m of METHODS) by[m]={ count:0, charged:0, net:0, surcharge:0 };
+  let unsettledQr=0;
+  for (const s of sales){
+    const t=(by[s.payment] ||= { count:0, charged:0, net:0, surcharge:0 });
+    const kept=refundableAmount(s);
+    t.count++; t.charged+=kept; t.net+=netBase(s);
+    t.surcharge+= s.amount ? Number(s.surcharge||0)*kept/Number(s.amount) : 0;
+    if (s.payment==='QR Code' && (s.status===SALE_STATUS.PENDING || s.status===SALE_STATUS.UNDERPAID) && !s.voided) unsettledQr++;
+  }
+  for (const t of Object.values(by)) for (const k of ['charged','net','surcharge']) t[k]=Number(t[k].toFixed(2));
+  const expectedCash=Number((Number(shift.openingFloat||0)+(by.Cash?.charged||0)).toFixed(2));
+  const diff=Number((counted-expectedCash).toFixed(2));
+  return {
+    byMethod:by, count:sales.length, unsettledQr,
+    net:Number(Object.values(by).reduce((a,t)=>a+t.net,0).toFixed(2)),
+    surcharge:Number(Object.values(by).reduce((a,t)=>a+t.surcharge,0).toFixed(2)),
+    expectedCash, counted, diff
+  };
+}
+function renderSettlement(shift){
+  const st=shift.settlement;
+  let out=`🧾 <b>Shift #${shift.id} settlement</b>\n`+
+    `Operator: <b>${escHtml(shift.operator)}${shift.company?` (${escHtml(companyName(shift.company))})`:''}</b>\n`+
+    `Open: ${fmtSg(Date.parse(shift.openedAt))} → Close: ${fmtSg(Date.parse(shift.closedAt))}\n\n`;
+  for (const [m,t] of Object.entries(st.byMethod)){
+    out += `${m}: ${t.count} sale(s) | charged <b>SGD ${fmt(t.charged)}</b> | net SGD ${fmt(t.net)}${t.surcharge?` | surcharge SGD ${fmt(t.surcharge)}`:''}\n`;
+  }
+  out += `\nSales: <b>${st.count}</b> | Net: <b>SGD ${fmt(st.net)}</b> | Surcharge collected: <b>SGD ${fmt(st.surcharge)}</b>\n`;
+  if (st.unsettledQr) out += `⚠️ QR not yet settled: ${st.unsettledQr}\n`;
+  out += `\n💵 Cash drawer\nOpening float: SGD ${fmt(shift.openingFloat||0)}\nExpected: <b>SGD ${fmt(st.expectedCash)}</b>\nCounted: <b>SGD ${fmt(st.counted)}</b>\n`;
+  out += st.diff===0 ? '✅ Balanced' : st.diff>0 ? `🔺 <b>OVER by SGD ${fmt(st.diff)}</b>` : `🔻 <b>SHORT by SGD ${fmt(-st.diff)}</b>`;
+  return out;
+}
 
-  await sendReportToAdmin(ctx, rows, `${s.report.company} • ${opName}`);
-  await tryDelete(ctx, s.promptMsgId); delete stepState[uid];
+bot.command('shift_open', async (ctx)=>{
+  const uid=String(ctx.from.id); const user=DB.users[uid];
+  if (!user?.nickname || !user?.company) return ctx.reply('ℹ️ Please set up first with /start.');
+  const open=openShiftFor(uid);
+  if (open) return ctx.reply(`ℹ️ Shift #${open.id} is already open since ${fmtSg(Date.parse(open.openedAt))}. Close it with /shift_close <counted cash>.`);
+  const [, floatArg]=ctx.message.text.trim().split(/\s+/);
+  const openingFloat=floatArg===undefined ? 0 : parseMoney(floatArg);
+  if (isNaN(openingFloat)) return ctx.reply('Usage: /shift_open [opening cash float]\nExample: /shift_open 200');
+  const shift={ id:nextShiftId(), operatorId:uid, operator:user.nickname, company:user.company, status:'open', openingFloat, openedAt:new Date().toISOString() };
+  await store.commit([ push(['shifts'], shift) ]);
+  await ctx.reply(`🟢 Shift #${shift.id} opened${openingFloat?` with a float of SGD ${fmt(openingFloat)}`:''}. Sales are now recorded against it.`);
 });
 
-bot.action('rep_cancel', async (ctx)=>{
-  await ctx.answerCbQuery('Cancelled');
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='report') return;
-  await tryDelete(ctx, s.promptMsgId); delete stepState[uid];
-  await ctx.reply('❌ Report cancelled.');
+bot.command('shift_close', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  const shift=openShiftFor(uid);
+  if (!shift) return ctx.reply('ℹ️ You have no open shift. Start one with /shift_open.');
+  const [, countArg]=ctx.message.text.trim().split(/\s+/);
+  const counted=parseMoney(countArg);
+  if (isNaN(counted)) return ctx.reply('Usage: /shift_close <counted cash in drawer>\nExample: /shift_close 1450.50');
+  const settlement=shiftSettlement(shift, counted);
+  await store.commit([ patch('shifts', shift.id, { status:'closed', closedAt:new Date().toISOString(), settlement }) ]);
+  const text=renderSettlement(shift);
+  await ctx.reply(`${text}\n\n🔒 Shift closed and locked.`, {parse_mode:'HTML'});
+  if (ADMIN_CHAT_ID) await ctx.telegram.sendMessage(ADMIN_CHAT_ID, text, {parse_mode:'HTML'});
+  else await ctx.reply('⚠️ ADMIN_CHAT_ID is not set in .env, so the settlement was not posted to the admins.');
 });
 
 // ────────────────────────────────────────────────────────────────────────────
-// Inline actions for /sale (Name/Payment/Amount)
+// Scheduled reports (/schedule, admin) — schedules live in DB.schedules, so they survive restarts;
+// lastRunKey is committed before posting so an occurrence is never sent twice (lib/schedule.js)
 // ────────────────────────────────────────────────────────────────────────────
-bot.action('sale_edit_name', async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  const m=await ctx.reply('👤 <b>Name / Table</b> — Enter a single line (either a name or a table number):',{parse_mode:'HTML'});
-  s.promptMsgId=m.message_id; s.awaiting='name'; touch(ctx,s);
-});
-bot.action('sale_edit_pay', async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  const kb={inline_keyboard:[[ {text:'QR Code',callback_data:'sale_pay_qr'},{text:'Cash',callback_data:'sale_pay_cash'} ],[ {text:'⬅️ Back',callback_data:'sale_back'} ]]};
-  const m=await ctx.reply('💳 <b>Payment Method</b> — choose one:',{parse_mode:'HTML', reply_markup:kb});
-  s.promptMsgId=m.message_id; touch(ctx,s);
+const SCHEDULE_TICK_MS = 60*1000;
+const SCHEDULE_LABELS = { shift:'End-of-shift summary', daily:'Daily company breakdown', weekly:'Weekly rollup' };
+
+// Monospace totals table grouped by key(row): sales count, cash/QR net, total net
+function renderBreakdown(rows, key, heading){
+  let out='```\n'+pad(heading,14)+pad('Sales',7)+pad('Cash',11)+pad('QR',11)+pad('Net',11)+'\n';
+  const all={ count:0, cash:0, qr:0, net:0 };
+  for (const [k,g] of groupTotals(rows, key)){
+    out += pad(k,14)+pad(g.count,7)+pad(`$${fmt(g.cash)}`,11)+pad(`$${fmt(g.qr)}`,11)+pad(`$${fmt(g.net)}`,11)+'\n';
+    for (const f of Object.keys(all)) all[f]+=g[f];
+  }
+  out += pad('TOTAL (net)',14)+pad(all.count,7)+pad(`$${fmt(all.cash)}`,11)+pad(`$${fmt(all.qr)}`,11)+pad(`$${fmt(all.net)}`,11)+'\n```';
+  return out;
+}
+async function sendMonospace(telegram, text){
+  try{ await telegram.sendMessage(ADMIN_CHAT_ID, text, {parse_mode:'MarkdownV2'}); }
+  catch{ await telegram.sendMessage(ADMIN_CHAT_ID, text.replace(/`/g,''), {parse_mode:'HTML'}); }
+}
+
+async function runSchedule(telegram, sched, at){
+  const range={ ...scheduleWindow(sched.kind, at), label:SCHEDULE_LABELS[sched.kind] };
+  const rows=buildReportRows({ sinceMs:range.from, untilMs:range.to });
+  const label=`⏰ ${range.label}`;
+  if (!rows.length){ await telegram.sendMessage(ADMIN_CHAT_ID, `📭 ${label}: no sales for ${rangeLabel(range)}.`); return; }
+  if (sched.kind==='shift') return postReport(telegram, rows, label, range);
+  await telegram.sendMessage(ADMIN_CHAT_ID, `📑 <b>${escHtml(label)}</b>\n${rangeLabel(range)}`, {parse_mode:'HTML'});
+  await sendMonospace(telegram, renderBreakdown(rows, r=>companyName(r.company)||'-', 'Company'));
+  if (sched.kind==='weekly') await sendMonospace(telegram, renderBreakdown(rows, r=>r.salesPerson, 'Operator'));
+  const csvPath=await writeCsvFile(rows, range);
+  await telegram.sendDocument(ADMIN_CHAT_ID, { source:csvPath, filename:csvPath });
+}
+
+let scheduleBusy=false;
+async function scheduleTick(now=Date.now()){
+  if (scheduleBusy || !ADMIN_CHAT_ID) return;
+  scheduleBusy=true;
+  try {
+    for (const sched of Object.values(DB.schedules)){
+      const at=dueOccurrence(sched, now); if (at===null) continue;
+      await store.commit([ merge(['schedules', sched.id], { lastRunKey:occurrenceKey(sched, at), lastRunAt:new Date(now).toISOString() }) ]);
+      try { await runSchedule(bot.telegram, sched, at); }
+      catch(e){ console.error(`schedule #${sched.id} failed:`, e); }
+    }
+  } finally { scheduleBusy=false; }
+}
+
+function describeSchedule(s){
+  return `#${s.id} ${s.enabled?'🟢':'⚪️'} <b>${SCHEDULE_LABELS[s.kind]}</b> — ${s.kind==='weekly'?`${WEEKDAYS[s.weekday]} `:''}${s.time} SGT`+
+    (s.lastRunAt?` (last sent ${fmtSg(Date.parse(s.lastRunAt))})`:'');
+}
+const SCHEDULE_HELP =
+  'Usage:\n'+
+  '/schedule — list\n'+
+  '/schedule add shift|daily HH:mm\n'+
+  '/schedule add weekly <mon..sun> HH:mm\n'+
+  '/schedule on|off|remove <id>\n'+
+  '/schedule run <id> — post it now (does not affect the timetable)\n'+
+  'Times are Singapore time.';
+
+bot.command('schedule', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'configure')) return ctx.reply('🚫 You are not authorized to use /schedule.');
+  const [, sub, ...args]=ctx.message.text.trim().split(/\s+/);
+  if (!sub){
+    const list=Object.values(DB.schedules);
+    const warn=ADMIN_CHAT_ID ? '' : '\n\n⚠️ ADMIN_CHAT_ID is not set in .env, so nothing will be posted.';
+    return ctx.reply(`⏰ <b>Scheduled reports</b>\n\n${list.length?list.map(describeSchedule).join('\n'):'None yet.'}\n\n${SCHEDULE_HELP}${warn}`, {parse_mode:'HTML'});
+  }
+  if (sub==='add'){
+    const kind=String(args[0]||'').toLowerCase();
+    if (!SCHEDULE_KINDS.includes(kind)) return ctx.reply(SCHEDULE_HELP);
+    const weekday = kind==='weekly' ? parseWeekday(args[1]) : null;
+    const time=parseClock(kind==='weekly' ? args[2] : args[1]);
+    if (!time || (kind==='weekly' && weekday===null)) return ctx.reply(SCHEDULE_HELP);
+    const id=String((DB.meta.nextScheduleId || 1));
+    const sched={ id, kind, time, ...(kind==='weekly'?{ weekday }:{}), enabled:true, createdBy:uid };
+    sched.lastRunKey=occurrenceKey(sched, latestOccurrence(sched)); // start with the next occurrence, not a past one
+    await store.commit([ set(['schedules', id], sched), set(['meta','nextScheduleId'], Number(id)+1) ]);
+    return ctx.reply(`✅ Added:\n${describeSchedule(sched)}`, {parse_mode:'HTML'});
+  }
+  const sched=DB.schedules[args[0]];
+  if (!['on','off','remove','run'].includes(sub)) return ctx.reply(SCHEDULE_HELP);
+  if (!sched) return ctx.reply(`❌ No schedule #${args[0]||''}.`);
+  if (sub==='remove'){ await store.commit([ unset(['schedules', sched.id]) ]); return ctx.reply(`🗑 Removed schedule #${sched.id}.`); }
+  if (sub==='run'){
+    if (!ADMIN_CHAT_ID) return ctx.reply('⚠️ ADMIN_CHAT_ID is not set in .env.');
+    await runSchedule(ctx.telegram, sched, Date.now());
+    return ctx.reply(`📮 ${SCHEDULE_LABELS[sched.kind]} sent to the admin group.`);
+  }
+  // Re-enabling skips occurrences missed while it was off
+  const enabled=sub==='on';
+  await store.commit([ merge(['schedules', sched.id], { enabled, ...(enabled ? { lastRunKey:occurrenceKey(sched, latestOccurrence(sched)) } : {}) }) ]);
+  await ctx.reply(`${describeSchedule(sched)}`, {parse_mode:'HTML'});
 });
-bot.action('sale_pay_qr', async (ctx)=>{
-  await ctx.answerCbQuery('QR Code selected');
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  s.fields.payment='QR Code'; await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s);
+
+setInterval(()=>scheduleTick().catch(e=>console.error('schedule tick failed:', e)), SCHEDULE_TICK_MS).unref();
+
+// ────────────────────────────────────────────────────────────────────────────
+// Roster & floor plan (admin) — recipients operators pick from, tables and sets offered in /sale and /order
+// ────────────────────────────────────────────────────────────────────────────
+const ROSTER_USAGE =
+  '<b>Roster</b>\n'+
+  '<code>/roster</code> — list\n'+
+  '<code>/roster add Name</code> (shared) | <code>/roster add Name @CompanyID</code>\n'+
+  '<code>/roster rename ID New name</code> | <code>/roster company ID CompanyID|all</code>\n'+
+  '<code>/roster remove ID</code> | <code>/roster restore ID</code>';
+function renderRoster(){
+  const list=Object.values(DB.roster).sort((a,b)=>a.name.localeCompare(b.name));
+  if (!list.length) return `🌸 The roster is empty — operators type names freely until you add some.\n\n${ROSTER_USAGE}`;
+  return '🌸 <b>Roster</b>\n\n'+list.map(p=>`<code>${p.id}</code> ${p.active?'':'⚪️ '}<b>${escHtml(p.name)}</b>${p.company?` — ${escHtml(companyName(p.company))}`:''}`).join('\n')+`\n\n${ROSTER_USAGE}`;
+}
+bot.command('roster', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'configure')) return ctx.reply('🚫 You are not authorized to use /roster.');
+  const [, sub, arg1, ...rest]=ctx.message.text.trim().split(/\s+/);
+  if (!sub) return ctx.reply(renderRoster(),{parse_mode:'HTML'});
+  if (sub==='add'){
+    const words=[arg1, ...rest].filter(Boolean);
+    const tag=words.at(-1)?.startsWith('@') ? words.pop().slice(1) : null;
+    const name=words.join(' ').slice(0,40);
+    if (!name) return ctx.reply(ROSTER_USAGE,{parse_mode:'HTML'});
+    if (tag && !getCompany(tag)) return ctx.reply(`❌ Unknown company id ${tag}. See /companies.`);
+    if (Object.values(DB.roster).some(p=>p.active && p.name.toLowerCase()===name.toLowerCase() && (p.company||null)===(tag||null))) return ctx.reply(`ℹ️ ${name} is already on the roster.`);
+    const id=String(DB.meta.nextRosterId || 1);
+    await store.commit([ set(['roster', id], { id, name, company:tag, active:true }), set(['meta','nextRosterId'], Number(id)+1) ]);
+    return ctx.reply(`✅ Added <b>${escHtml(name)}</b> (id <code>${id}</code>)${tag?` for ${escHtml(companyName(tag))}`:''}.`,{parse_mode:'HTML'});
+  }
+  const p=DB.roster[arg1];
+  if (!['rename','company','remove','restore'].includes(sub)) return ctx.reply(ROSTER_USAGE,{parse_mode:'HTML'});
+  if (!p) return ctx.reply(`❌ No roster entry ${arg1||''}.`);
+  let change;
+  if (sub==='rename'){ const name=rest.join(' ').slice(0,40); if (!name) return ctx.reply(ROSTER_USAGE,{parse_mode:'HTML'}); change={ name }; }
+  else if (sub==='company'){
+    const c=rest[0]; if (!c || (c!=='all' && !getCompany(c))) return ctx.reply('❌ Give a company id from /companies, or all.');
+    change={ company: c==='all' ? null : c };
+  }
+  else change={ active: sub==='restore' }; // removed entries stay for history, just hidden from pickers
+  await store.commit([ merge(['roster', p.id], change) ]);
+  await ctx.reply(`✅ Updated.\n\n${renderRoster()}`,{parse_mode:'HTML'});
 });
-bot.action('sale_pay_cash', async (ctx)=>{
-  await ctx.answerCbQuery('Cash selected');
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  s.fields.payment='Cash'; await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null;
-  const warn=await ctx.reply('⚠️ <b>Cash must be collected immediately.</b>',{parse_mode:'HTML'}); setTimeout(()=>tryDelete(ctx,warn.message_id),10_000);
-  await saleShowOverview(ctx,s); touch(ctx,s);
+
+const FLOOR_USAGE =
+  '<b>Floor plan</b>\n'+
+  '<code>/floor</code> — show\n'+
+  '<code>/floor tables V1, V2, K1</code>\n'+
+  '<code>/floor sets Set 1, Set 2, Set 3</code>\n'+
+  'Send <code>-</code> as the list to clear it (operators then type freely).';
+bot.command('floor', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'configure')) return ctx.reply('🚫 You are not authorized to use /floor.');
+  const m=ctx.message.text.trim().match(/^\/floor(?:@\w+)?(?:\s+(tables|sets)\s+(.+))?$/i);
+  if (!m) return ctx.reply(FLOOR_USAGE,{parse_mode:'HTML'});
+  if (m[1]){
+    const list = m[2].trim()==='-' ? [] : [...new Set(m[2].split(',').map(x=>x.trim().slice(0,20)).filter(Boolean))];
+    if (list.length>60) return ctx.reply('❌ At most 60 entries.');
+    await store.commit([ set(['floor', m[1].toLowerCase()], list) ]);
+  }
+  const show=(l)=>l.length ? l.map(x=>`<code>${x}</code>`).join(' ') : '— (free text)';
+  await ctx.reply(`🪑 Tables: ${show(DB.floor.tables)}\n🎁 Sets: ${show(DB.floor.sets)}\n\n${FLOOR_USAGE}`,{parse_mode:'HTML'});
 });
-bot.action('sale_edit_amount', async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  const kb={inline_keyboard:[
-    [{text:'100',callback_data:'amt_100'},{text:'200',callback_data:'amt_200'},{text:'300',callback_data:'amt_300'}],
-    [{text:'500',callback_data:'amt_500'},{text:'1000',callback_data:'amt_1000'},{text:'2000',callback_data:'amt_2000'}],
-    [{text:'Custom',callback_data:'amt_custom'},{text:'⬅️ Back',callback_data:'sale_back'}]
-  ]};
-  const m=await ctx.reply('💵 <b>Amount</b> — choose or pick custom (min 100):',{parse_mode:'HTML', reply_markup:kb});
-  s.promptMsgId=m.message_id; s.awaiting=null; touch(ctx,s);
+
+// ────────────────────────────────────────────────────────────────────────────
+// Commissions (/commission) and payout statements (/payouts) — admin; rates in DB.commission
+// (lib/commission.js), statements in DB.payouts with a paid/due status per line
+// ────────────────────────────────────────────────────────────────────────────
+const COMMISSION_USAGE =
+  '<b>Commission rates</b> (on NET sales)\n'+
+  '<code>/commission</code> — show\n'+
+  '<code>/commission operator|recipient default RATE</code>\n'+
+  '<code>/commission operator|recipient company CompanyID RATE</code>\n'+
+  '<code>/commission operator person OperatorID RATE</code>\n'+
+  '<code>/commission recipient person Name RATE</code>\n'+
+  'RATE is <code>10</code> or tiers <code>0:10,5000:12</code> (10% up to 5000, 12% above); <code>-</code> clears.';
+function renderCommission(){
+  const c=DB.commission; let out='💰 <b>Commission rates</b>\n';
+  for (const kind of PAYEE_KINDS){
+    const side=c[kind];
+    out += `\n<b>${kind==='operator'?'Operators':'Recipients'}</b>\nDefault: ${describeTiers(side.default)}\n`;
+    for (const [id,t] of Object.entries(side.companies)) out += `${escHtml(companyName(id))}: ${describeTiers(t)}\n`;
+    for (const [p,t] of Object.entries(side.people)) out += `${escHtml(kind==='operator' ? (DB.users[p]?.nickname || p) : p)}: ${describeTiers(t)}\n`;
+  }
+  return `${out}\n${COMMISSION_USAGE}`;
+}
+bot.command('commission', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'configure')) return ctx.reply('🚫 You are not authorized to use /commission.');
+  const [, kind, scope, ...rest]=ctx.message.text.trim().split(/\s+/);
+  if (!kind) return ctx.reply(renderCommission(),{parse_mode:'HTML'});
+  if (!PAYEE_KINDS.includes(kind) || !['default','company','person'].includes(scope)) return ctx.reply(COMMISSION_USAGE,{parse_mode:'HTML'});
+  const rate=rest.pop(), target=rest.join(' ');
+  if (!rate || (scope!=='default' && !target)) return ctx.reply(COMMISSION_USAGE,{parse_mode:'HTML'});
+  if (scope==='company' && !getCompany(target)) return ctx.reply(`❌ Unknown company id ${target}. See /companies.`);
+  if (scope==='person' && kind==='operator' && !DB.users[target]) return ctx.reply(`❌ Unknown operator id ${target}.`);
+  let tiers=[];
+  if (rate!=='-'){ try { tiers=parseTiers(rate); } catch(e){ return ctx.reply(`❌ ${e.message}`); } }
+  const p = scope==='default' ? ['commission',kind,'default'] : ['commission',kind, scope==='company'?'companies':'people', target];
+  await store.commit([ tiers.length || scope==='default' ? set(p, tiers) : unset(p) ]);
+  await ctx.reply(`✅ Updated.\n\n${renderCommission()}`,{parse_mode:'HTML'});
 });
-bot.action(/^amt_(\d+)$/, async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  s.fields.amount=Math.max(Number(ctx.match[1]), MIN_AMOUNT);
-  await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s);
+
+function nextPayoutId(){ return (DB.payouts.at(-1)?.id || 0)+1; }
+function payoutWho(l){ return `${l.kind==='operator' ? '👤' : '🌸'} ${escHtml(l.label)}`; }
+function renderPayoutStatement(st){
+  let out=`💸 <b>Payout statement #${st.id}</b>\n${rangeLabel(st.range)}\n\n`;
+  st.lines.forEach((l,i)=>{
+    out += `${i+1}. ${payoutWho(l)}${l.company?` (${escHtml(companyName(l.company))})`:''} — ${l.count} sale(s), NET SGD ${fmt(l.volume)} @ ${describeTiers(l.tiers)}\n`;
+    out += `   Payout: <b>SGD ${fmt(l.amount)}</b> ${l.status==='paid'?`✅ paid ${fmtSg(Date.parse(l.paidAt))}`:'⏳ due'}\n`;
+  });
+  const due=st.lines.filter(l=>l.status!=='paid').reduce((a,l)=>a+l.amount,0);
+  out += `\nTotal: <b>SGD ${fmt(st.lines.reduce((a,l)=>a+l.amount,0))}</b> | Still due: <b>SGD ${fmt(due)}</b>`;
+  return out;
+}
+async function writePayoutCsv(st){
+  const lines=[['Statement','Kind','Payee','Company','Sales','NET Volume','Rate','Payout','Status','Paid At'].join(',')];
+  for (const l of st.lines){
+    lines.push([st.id, l.kind, csvEscape(l.label), csvEscape(companyName(l.company)), l.count, l.volume.toFixed(2), csvEscape(describeTiers(l.tiers)),
+      l.amount.toFixed(2), l.status, l.paidAt ? csvEscape(fmtSg(Date.parse(l.paidAt))) : ''].join(','));
+  }
+  lines.push(['Period', csvEscape(st.range.label), csvEscape(fmtSg(st.range.from)), csvEscape(fmtSg(st.range.to))].join(','));
+  const fname=`payouts_${st.id}_${stampSg(st.range.from)}_to_${stampSg(st.range.to)}.csv`;
+  await fs.writeFile(fname, lines.join('\n'), 'utf8'); return fname;
+}
+const PAYOUTS_USAGE =
+  '<b>Payouts</b>\n'+
+  '<code>/payouts PERIOD</code> — new statement; PERIOD is shift, prevshift, week, month or <code>DD/MM/YYYY - DD/MM/YYYY</code>\n'+
+  '<code>/payouts show ID</code> | <code>/payouts list</code>\n'+
+  '<code>/payouts paid ID LINE|all</code> | <code>/payouts unpaid ID LINE</code>';
+
+bot.command('payouts', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'configure')) return ctx.reply('🚫 You are not authorized to use /payouts.');
+  const argText=ctx.message.text.trim().replace(/^\/payouts(@\w+)?\s*/,'');
+  const [sub, idArg, lineArg]=argText.split(/\s+/);
+  if (!argText) return ctx.reply(PAYOUTS_USAGE,{parse_mode:'HTML'});
+
+  if (sub==='list'){
+    const recent=DB.payouts.slice(-10).reverse();
+    if (!recent.length) return ctx.reply('📭 No payout statements yet.');
+    return ctx.reply(recent.map(st=>`#${st.id} ${rangeLabel(st.range)} — ${st.lines.filter(l=>l.status!=='paid').length}/${st.lines.length} due`).join('\n'));
+  }
+  if (['show','paid','unpaid'].includes(sub)){
+    const st=DB.payouts.find(x=>x.id===Number(idArg));
+    if (!st) return ctx.reply(`❌ No payout statement #${idArg||''}.`);
+    if (sub!=='show'){
+      const idx = lineArg==='all' && sub==='paid' ? st.lines.map((_,i)=>i) : [Number(lineArg)-1];
+      if (idx.some(i=>!st.lines[i])) return ctx.reply(`❌ Statement #${st.id} has lines 1–${st.lines.length}.`);
+      const lines=st.lines.map((l,i)=>!idx.includes(i) ? l
+        : sub==='paid' ? (l.status==='paid' ? l : { ...l, status:'paid', paidAt:new Date().toISOString(), paidBy:uid })
+        : { ...l, status:'due', paidAt:null, paidBy:null });
+      await store.commit([ patch('payouts', st.id, { lines }) ]);
+    }
+    return replyBig(ctx, renderPayoutStatement(st));
+  }
+
+  const range = REPORT_PERIODS.some(([id])=>id===sub && id!=='custom') ? reportRange(sub) : parseCustomRange(argText);
+  if (!range) return ctx.reply(PAYOUTS_USAGE,{parse_mode:'HTML'});
+  const rows=buildReportRows({ sinceMs:range.from, untilMs:range.to });
+  const lines=computePayouts(rows, DB.commission).map(l=>({ ...l, status:'due', paidAt:null, paidBy:null }));
+  if (!lines.length) return ctx.reply(`📭 No commission due for ${rangeLabel(range)} (check the rates with /commission).`);
+  const st={ id:nextPayoutId(), range, createdBy:uid, createdAt:new Date().toISOString(), lines };
+  await store.commit([ push(['payouts'], st) ]);
+  const overlap=DB.payouts.filter(x=>x.id!==st.id && x.range.from<range.to && range.from<x.range.to).map(x=>`#${x.id}`);
+  await replyBig(ctx, renderPayoutStatement(st)+(overlap.length?`\n\n⚠️ Overlaps statement ${overlap.join(', ')} — don't pay the same sales twice.`:''));
+  const csvPath=await writePayoutCsv(st); await ctx.replyWithDocument({ source:csvPath, filename:csvPath });
 });
-bot.action('amt_custom', async (ctx)=>{
+
+// ────────────────────────────────────────────────────────────────────────────
+// Users & roles (/roles, /role) — sign-ups wait for an owner or a manager of their company
+// ────────────────────────────────────────────────────────────────────────────
+function userLabel(uid){ const u=DB.users[uid]; return `${escHtml(u?.nickname || uid)} (<code>${uid}</code>)`; }
+async function requestApproval(ctx, uid){
+  const u=DB.users[uid];
+  await store.commit([ merge(['users',uid], { status:'pending', role:u.role || 'operator', requestedAt:new Date().toISOString() }) ]);
+  const kb={inline_keyboard:[[ {text:'✅ Approve',callback_data:`usr_ok_${uid}`}, {text:'❌ Reject',callback_data:`usr_no_${uid}`} ]]};
+  if (ADMIN_CHAT_ID){
+    try { await ctx.telegram.sendMessage(ADMIN_CHAT_ID, `🙋 <b>Access request</b>\n${userLabel(uid)} wants to join <b>${escHtml(companyName(u.company))}</b> as ${DB.users[uid].role}.`, {parse_mode:'HTML', reply_markup:kb}); }
+    catch(e){ console.error('approval request failed:', e.message); }
+  }
+  await ctx.reply(`⏳ Thanks, ${u.nickname}! A manager of ${companyName(u.company)} needs to approve you before you can use /sale.`);
+}
+// Can `by` hand `role` to (or take it from) user `uid`?
+function mayManage(by, uid, role){
+  const mine=userRole(by), target=DB.users[uid];
+  if (ADMIN_IDS.includes(String(uid))) return false; // bootstrap owners are managed in .env
+  if (!grantableRoles(mine).includes(role)) return false;
+  return inScope(by, target?.company);
+}
+
+bot.action(/^usr_(ok|no)_(\d+)$/, async (ctx)=>{
+  const by=String(ctx.from.id), uid=ctx.match[2], u=DB.users[uid];
+  if (!u || u.status!=='pending') return ctx.answerCbQuery('Already handled.');
+  if (!mayManage(by, uid, u.role)) return ctx.answerCbQuery(`🚫 Only an owner or a ${companyName(u.company)} manager can decide this.`, { show_alert:true });
   await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  const m=await ctx.reply('💵 <b>Custom Amount</b> — Enter amount (min 100):',{parse_mode:'HTML'});
-  s.promptMsgId=m.message_id; s.awaiting='amount'; touch(ctx,s);
+  const approve=ctx.match[1]==='ok';
+  await store.commit([ merge(['users',uid], { status: approve?'active':'revoked', decidedBy:by, decidedAt:new Date().toISOString() }) ]);
+  const who=DB.users[by]?.nickname || ctx.from.first_name || by;
+  try { await ctx.editMessageText(`🙋 ${userLabel(uid)} → ${escHtml(companyName(u.company))} as ${u.role}\n${approve?'✅ Approved':'❌ Rejected'} by <b>${escHtml(who)}</b>`, {parse_mode:'HTML'}); } catch {}
+  try { await ctx.telegram.sendMessage(uid, approve ? `✅ You're approved as ${u.role} for ${companyName(u.company)}. Use /sale to start.` : '❌ Your access request was declined.'); } catch {}
 });
-bot.action('sale_amount_clear', async (ctx)=>{
-  await ctx.answerCbQuery('Amount cleared');
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  s.fields.amount=null; await saleShowOverview(ctx,s); touch(ctx,s);
+
+const ROLE_USAGE =
+  '<b>Roles</b>: owner, manager, operator, viewer\n'+
+  '<code>/roles</code> — list users\n'+
+  '<code>/role grant UserID ROLE [CompanyID]</code>\n'+
+  '<code>/role revoke UserID</code>';
+bot.command('roles', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'users')) return ctx.reply('🚫 You are not authorized to use /roles.');
+  const rows=Object.entries(DB.users).filter(([id,u])=>inScope(uid, u.company) || ADMIN_IDS.includes(id));
+  const order={ pending:0, active:1, revoked:2 };
+  rows.sort((a,b)=>(order[a[1].status]??3)-(order[b[1].status]??3) || String(a[1].nickname).localeCompare(String(b[1].nickname)));
+  let out='👥 <b>Users</b>\n\n';
+  for (const [id,u] of rows){
+    const role=ADMIN_IDS.includes(id) ? 'owner (env)' : (u.role || '-');
+    const mark={ pending:'⏳', active:'🟢', revoked:'⛔️' }[u.status] || '⚪️';
+    out += `${mark} ${userLabel(id)} — ${role}${u.company?` @ ${escHtml(companyName(u.company))}`:''}\n`;
+  }
+  await replyBig(ctx, `${out}\n${ROLE_USAGE}`);
 });
-bot.action('sale_back', async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s);
+bot.command('role', async (ctx)=>{
+  const by=String(ctx.from.id);
+  if (!can(by,'users')) return ctx.reply('🚫 You are not authorized to use /role.');
+  const [, sub, uid, role, company]=ctx.message.text.trim().split(/\s+/);
+  const u=DB.users[uid];
+  if (!['grant','revoke'].includes(sub) || !uid) return ctx.reply(ROLE_USAGE,{parse_mode:'HTML'});
+  if (!u) return ctx.reply(`❌ Unknown user ${uid}. They need to message the bot (/start) first.`);
+  if (sub==='revoke'){
+    if (!mayManage(by, uid, u.role)) return ctx.reply('🚫 You cannot revoke this user.');
+    await store.commit([ merge(['users',uid], { status:'revoked', decidedBy:by, decidedAt:new Date().toISOString() }) ]);
+    return ctx.reply(`⛔️ Revoked ${u.nickname || uid}.`);
+  }
+  if (!ROLES.includes(role)) return ctx.reply(ROLE_USAGE,{parse_mode:'HTML'});
+  const target=company || u.company;
+  if (company && !getCompany(company)) return ctx.reply(`❌ Unknown company id ${company}. See /companies.`);
+  if (role!=='owner' && !target) return ctx.reply('❌ This role needs a company: /role grant UserID ROLE CompanyID');
+  if (!grantableRoles(userRole(by)).includes(role) || !inScope(by, target) || ADMIN_IDS.includes(uid)) return ctx.reply('🚫 You cannot grant that.');
+  await store.commit([ merge(['users',uid], { role, company:target || null, status:'active', decidedBy:by, decidedAt:new Date().toISOString() }) ]);
+  try { await ctx.telegram.sendMessage(uid, `🔑 You are now ${role}${target?` for ${companyName(target)}`:''}.`); } catch {}
+  await ctx.reply(`✅ ${u.nickname || uid} is now ${role}${target?` @ ${companyName(target)}`:''}.`);
 });
 
 // ────────────────────────────────────────────────────────────────────────────
-// Generate QR (+3%) and Cash (NET only) handlers
+// Profiles (/profile self-service; /operator deactivate|reactivate|merge for managers)
+// Sales and shifts keep the operator name and company they were recorded under.
 // ────────────────────────────────────────────────────────────────────────────
-bot.action('sale_generate_qr', async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  const operator=DB.users[uid]?.nickname || 'Unknown';
-  const companyName=DB.users[uid]?.company || ''; const companyTag=companyName?` (${companyName})`:'';
-
-  const f=s.fields;
-  if (!(f.name && f.payment==='QR Code')) return ctx.reply('❌ Missing details. Ensure Name/Table and Payment=QR Code are provided.');
-  const baseAmt=(f.amount && f.amount>=MIN_AMOUNT)?f.amount:MIN_AMOUNT;
-  const payAmt=Number((baseAmt*1.03).toFixed(2));
-
-  const txnId=nextTxnId(companyName);
-  const ref=buildReference(txnId, operator, f.name);
-  await saveDB();
+const NICK_MAX = 32;
+function renderProfile(uid){
+  const u=DB.users[uid] || {};
+  return `👤 <b>${escHtml(u.nickname || uid)}</b> (<code>${uid}</code>)\n`+
+    `Company: ${u.company ? escHtml(companyName(u.company)) : '-'}\n`+
+    `Role: ${userRole(uid) || u.role || '-'} • Status: ${u.status || '-'}`+
+    (u.pendingCompany ? `\n⏳ Change to ${escHtml(companyName(u.pendingCompany))} is waiting for approval.` : '');
+}
+const PROFILE_USAGE =
+  '<code>/profile</code> — show your profile\n'+
+  '<code>/profile name New Name</code>\n'+
+  '<code>/profile company</code> — request a company change';
+
+bot.command('profile', async (ctx)=>{
+  const uid=String(ctx.from.id), u=DB.users[uid];
+  if (!u?.nickname) return ctx.reply('ℹ️ Please set up first with /start.');
+  const [, sub='', ...rest]=ctx.message.text.trim().split(/\s+/);
+  if (!sub) return ctx.reply(`${renderProfile(uid)}\n\n${PROFILE_USAGE}`, {parse_mode:'HTML'});
+  if (sub==='name'){
+    const name=rest.join(' ').trim();
+    if (!name || name.length>NICK_MAX) return ctx.reply(`❌ Give a name of 1–${NICK_MAX} characters: /profile name New Name`);
+    await store.commit([ merge(['users',uid], { nickname:name }) ]);
+    return ctx.reply(`✅ You'll be shown as ${name} on new sales.`);
+  }
+  if (sub==='company'){
+    const companies=activeCompanies().filter(c=>c.id!==u.company);
+    if (!companies.length) return ctx.reply('📭 There is no other company to move to.');
+    return ctx.reply('Which company are you moving to?', { reply_markup:companyKeyboard('prof_co_', { companies }) });
+  }
+  return ctx.reply(PROFILE_USAGE, {parse_mode:'HTML'});
+});
 
-  try{
-    const buffer=await generatePayNowQR({ amount:payAmt, reference:ref });
-    const caption=
-      `💳 <b>PayNow</b>\n`+
-      `Transaction ID: <b>${txnId}</b>\n`+
-      `Operator: <b>${operator}${companyTag}</b>\n`+
-      `Name/Table: <b>${f.name}</b>\n`+
-      `Base: <b>SGD ${fmt(baseAmt)}</b>  (+3% fee)\n`+
-      `Charged: <b>SGD ${fmt(payAmt)}</b>\n`+
-      `Ref (QR): <code>${ref}</code>\n\n`+
-      `⚠️ This QR will auto-expire in 2 minutes.`;
-    const msg=await ctx.replyWithPhoto({source:buffer},{caption,parse_mode:'HTML'});
-    setTimeout(()=>tryDelete(ctx,msg.message_id),QR_LIFETIME_MS);
+bot.action(/^prof_co_(\w+)$/, async (ctx)=>{
+  await ctx.answerCbQuery();
+  const uid=String(ctx.from.id), u=DB.users[uid], company=ctx.match[1];
+  if (!u?.nickname) return;
+  if (!getCompany(company)?.active) return ctx.reply('❌ That company is not available.');
+  try { await ctx.deleteMessage(); } catch {}
+  if (userRole(uid)==='owner'){
+    await store.commit([ merge(['users',uid], { company, pendingCompany:null }) ]);
+    return ctx.reply(`✅ Company set to ${companyName(company)}.`);
+  }
+  if (openShiftFor(uid)) return ctx.reply('❌ Close your shift (/shift_close) before changing company.');
+  if (!ADMIN_CHAT_ID) return ctx.reply('❌ Company changes need ADMIN_CHAT_ID for approvals. Ask an admin.');
+  await store.commit([ merge(['users',uid], { pendingCompany:company, pendingCompanyAt:new Date().toISOString() }) ]);
+  const kb={inline_keyboard:[[ {text:'✅ Approve',callback_data:`pco_ok_${uid}`}, {text:'❌ Reject',callback_data:`pco_no_${uid}`} ]]};
+  try { await ctx.telegram.sendMessage(ADMIN_CHAT_ID, `🔁 <b>Company change</b>\n${userLabel(uid)}: ${escHtml(companyName(u.company))} → <b>${escHtml(companyName(company))}</b>`, {parse_mode:'HTML', reply_markup:kb}); }
+  catch(e){ console.error('company change request failed:', e.message); }
+  await ctx.reply(`⏳ Requested a move to ${companyName(company)}. You stay with ${companyName(u.company)} until it's approved.`);
+});
 
-    DB.sales.push({ operatorId:uid, operator, company:companyName||null, type:'single',
-      name:f.name, payment:'QR Code', amountBase:baseAmt, amount:payAmt,
-      transactionId:txnId, reference:ref, timestamp:new Date().toISOString()
-    });
-    await saveDB();
+// Managers of the new company (or owners) decide
+bot.action(/^pco_(ok|no)_(\d+)$/, async (ctx)=>{
+  const by=String(ctx.from.id), uid=ctx.match[2], u=DB.users[uid];
+  if (!u?.pendingCompany) return ctx.answerCbQuery('Already handled.');
+  const to=u.pendingCompany;
+  if (!inScope(by, to) || !grantableRoles(userRole(by)).includes(u.role || 'operator')) return ctx.answerCbQuery(`🚫 Only an owner or a ${companyName(to)} manager can decide this.`, { show_alert:true });
+  await ctx.answerCbQuery();
+  const approve=ctx.match[1]==='ok';
+  if (approve && openShiftFor(uid)) return ctx.reply(`❌ ${u.nickname} has an open shift; it must be closed first.`);
+  const from=u.company;
+  await store.commit([ merge(['users',uid], { ...(approve ? { company:to } : {}), pendingCompany:null, pendingCompanyAt:null }) ]);
+  const who=DB.users[by]?.nickname || ctx.from.first_name || by;
+  try { await ctx.editMessageText(`🔁 ${userLabel(uid)}: ${escHtml(companyName(from))} → ${escHtml(companyName(to))}\n${approve?'✅ Approved':'❌ Rejected'} by <b>${escHtml(who)}</b>`, {parse_mode:'HTML'}); } catch {}
+  try { await ctx.telegram.sendMessage(uid, approve ? `✅ You're now with ${companyName(to)}.` : `❌ Your move to ${companyName(to)} was declined.`); } catch {}
+});
 
-    if (s.expiryTimer) clearTimeout(s.expiryTimer);
-    await tryDelete(ctx,s.overviewMsgId); await tryDelete(ctx,s.promptMsgId); delete stepState[uid];
-  }catch(e){ console.error(e); await ctx.reply('❌ Failed to generate QR.'); }
+const OPERATOR_USAGE =
+  '<code>/operator UserID</code> — show profile\n'+
+  '<code>/operator deactivate UserID</code>\n'+
+  '<code>/operator reactivate UserID</code>\n'+
+  '<code>/operator merge FromUserID IntoUserID</code> — move sales and shifts of a duplicate account';
+bot.command('operator', async (ctx)=>{
+  const by=String(ctx.from.id);
+  const [, a, b, c]=ctx.message.text.trim().split(/\s+/);
+  if (!a) return ctx.reply(OPERATOR_USAGE, {parse_mode:'HTML'});
+  if (/^\d+$/.test(a)){
+    if (!DB.users[a] || !inScope(by, DB.users[a].company)) return ctx.reply(`❌ Unknown user ${a}.`);
+    return ctx.reply(renderProfile(a), {parse_mode:'HTML'});
+  }
+  const u=DB.users[b];
+  if (!u) return ctx.reply(`❌ Unknown user ${b}.`);
+  if (!mayManage(by, b, u.role || 'operator')) return ctx.reply('🚫 You cannot manage this user.');
+  const now=new Date().toISOString();
+
+  if (a==='deactivate'){
+    if (u.status==='deactivated' || u.status==='merged') return ctx.reply(`ℹ️ ${u.nickname || b} is already ${u.status}.`);
+    // status 'deactivated' hides them from pickers and blocks every command until reactivated
+    await store.commit([ merge(['users',b], { status:'deactivated', statusBefore:u.status || 'active', decidedBy:by, decidedAt:now }) ]);
+    const note=openShiftFor(b) ? ' Their shift is still open; close it with them or settle it manually.' : '';
+    return ctx.reply(`⏸ Deactivated ${u.nickname || b}. Their sales stay in reports.${note}`);
+  }
+  if (a==='reactivate'){
+    if (u.status!=='deactivated') return ctx.reply(`ℹ️ ${u.nickname || b} is not deactivated.`);
+    await store.commit([ merge(['users',b], { status:u.statusBefore==='pending' ? 'pending' : 'active', statusBefore:null, decidedBy:by, decidedAt:now }) ]);
+    return ctx.reply(`▶️ Reactivated ${u.nickname || b}.`);
+  }
+  if (a==='merge'){
+    const into=DB.users[c];
+    if (!into || c===b) return ctx.reply('❌ Usage: /operator merge FromUserID IntoUserID (two different users).');
+    if (!mayManage(by, c, into.role || 'operator')) return ctx.reply('🚫 You cannot manage the target user.');
+    if (u.status==='merged') return ctx.reply(`ℹ️ ${u.nickname || b} was already merged into ${u.mergedInto}.`);
+    if (openShiftFor(b)) return ctx.reply(`❌ ${u.nickname || b} has an open shift; close it first.`);
+    const sales=store.querySales({ operatorId:b }), shifts=DB.shifts.filter(sh=>sh.operatorId===b);
+    const rates=DB.commission?.operator?.people || {};
+    const ops=[
+      ...sales.map(s=>patch('sales', s.id, { operatorId:c, mergedFrom:b })),
+      ...shifts.map(sh=>patch('shifts', sh.id, { operatorId:c, mergedFrom:b })),
+      merge(['users',b], { status:'merged', mergedInto:c, decidedBy:by, decidedAt:now })
+    ];
+    if (rates[b]?.length){
+      if (!rates[c]?.length) ops.push(set(['commission','operator','people',c], rates[b]));
+      ops.push(unset(['commission','operator','people',b]));
+    }
+    await store.commit(ops);
+    return ctx.reply(`🔗 Merged ${userLabel(b)} into ${userLabel(c)}: ${sales.length} sale(s) and ${shifts.length} shift(s) moved. Names on those records are unchanged.`, {parse_mode:'HTML'});
+  }
+  return ctx.reply(OPERATOR_USAGE, {parse_mode:'HTML'});
 });
 
-bot.action('sale_finalize_cash', async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='sale') return;
-  const operator=DB.users[uid]?.nickname || 'Unknown';
-  const companyName=DB.users[uid]?.company || '';
-  const f=s.fields;
-  if (!(f.name && f.payment==='Cash')) return ctx.reply('❌ Missing details. Ensure Name/Table and Payment=Cash are provided.');
-  const baseAmt=(f.amount && f.amount>=MIN_AMOUNT)?f.amount:MIN_AMOUNT;
-
-  const txnId=nextTxnId(companyName);
-  await saveDB();
-  DB.sales.push({ operatorId:uid, operator, company:companyName||null, type:'single',
-    name:f.name, payment:'Cash', amountBase:baseAmt, amount:baseAmt,
-    transactionId:txnId, reference:null, timestamp:new Date().toISOString()
-  });
-  await saveDB();
+// ────────────────────────────────────────────────────────────────────────────
+// Transaction lookup (/txn) and ID format (/txnformat, admin)
+// ────────────────────────────────────────────────────────────────────────────
+function renderSaleDetail(s){
+  const at=parseSaleTime(s.timestamp);
+  const revs=DB.reversals.filter(r=>r.saleId===s.id);
+  const pays=DB.payments.filter(p=>p.saleId===s.id);
+  const shift=s.shiftId ? DB.shifts.find(sh=>sh.id===s.shiftId) : null;
+  let out=`🧾 <b>${escHtml(s.transactionId || '-')}</b> (sale #${s.id})${reversalNote(s)?` — <b>${reversalNote(s)}</b>`:''}\n`+
+    `Date: ${fmtSg(at, { seconds:true })}\n`+
+    `Operator: <b>${escHtml(s.operator || '-')}</b>${s.company?` (${escHtml(companyName(s.company))})`:''}\n`+
+    (s.recipient ? `Recipient: ${escHtml(s.recipient)}\n` : '')+
+    (s.table ? `Table: ${escHtml(s.table)}\n` : '')+
+    (s.set ? `Set: ${escHtml(s.set)}\n` : '');
+  if (s.lines?.length) out += s.lines.map(l=>`   • ${escHtml(l.recipient)}${l.set?` (${escHtml(l.set)})`:''}: SGD ${fmt(l.amountBase)}\n`).join('');
+  out += `Payment: ${s.payment}${s.status?` | Status: ${s.status}`:''}\n`+
+    `Base: SGD ${fmt(s.amountBase ?? s.amount)} | Surcharge: SGD ${fmt(s.surcharge || 0)} | Charged: <b>SGD ${fmt(s.amount)}</b>\n`+
+    `Net (after voids/refunds): <b>SGD ${fmt(netBase(s))}</b>`+(s.pricingVersion?` | Pricing v${s.pricingVersion}`:'')+'\n';
+  if (s.reference) out += `Ref: <code>${escHtml(s.reference)}</code>\n`;
+  if (s.payment==='QR Code'){
+    out += `Paid: SGD ${fmt(s.paidAmount || 0)}${s.paidLate?' (⌛ after QR expiry)':''}\n`;
+    if (s.qrExpiresAt) out += `QR: issued ${fmtSg(Date.parse(s.qrIssuedAt))}, expires ${fmtSg(Date.parse(s.qrExpiresAt))}${s.qrReissues?` (reissued ${s.qrReissues}×)`:''}\n`;
+  }
+  if (shift) out += `Shift: #${shift.id} (${shift.status})\n`;
+  for (const r of revs) out += `${r.kind==='void'?'🚫 Void':'↩️ Refund'} #${r.id} ${r.status}: SGD ${fmt(r.amount)} — ${escHtml(r.reason)}\n`;
+  for (const p of pays) out += `🏦 SGD ${fmt(p.amount)} ${p.source || ''} ${fmtSg(p.paidAt ?? Date.parse(p.receivedAt))}${p.bankRef?` | ${p.bankRef}`:''}${p.late?' ⌛ late':''}${p.status===CREDIT_STATUS.VOID?' 🚫 after void/refund, not applied':''}\n`;
+  return out;
+}
+// Operators see their own sales; report users see sales of the companies in their scope
+function maySeeSale(uid, s){ return String(s.operatorId)===uid || (can(uid,'report') && inScope(uid, s.company)); }
 
-  await ctx.reply(
-    `✅ <b>Cash recorded</b>\n`+
-    `Transaction ID: <b>${txnId}</b>\n`+
-    `Operator: <b>${operator}${companyName?` (${companyName})`:''}</b>\n`+
-    `Name/Table: <b>${f.name}</b>\n`+
-    `Collected: <b>SGD ${fmt(baseAmt)}</b>`,
-    {parse_mode:'HTML'}
-  );
+bot.command('txn', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  const [, txnId='']=ctx.message.text.trim().split(/\s+/);
+  if (!txnId) return ctx.reply('Usage: /txn <TxnID>\nExample: /txn L251019-001');
+  // IDs issued before they were unique may repeat, so list every match (newest first)
+  const want=txnId.toUpperCase();
+  const matches=DB.sales.filter(s=>String(s.transactionId||'').toUpperCase()===want && maySeeSale(uid, s)).reverse();
+  if (!matches.length) return ctx.reply(`❌ No sale ${txnId} found.`);
+  await replyBig(ctx, matches.slice(0,5).map(renderSaleDetail).join('\n')+(matches.length>5?`\n…and ${matches.length-5} older sale(s) with this ID.`:''));
+});
 
-  if (s.expiryTimer) clearTimeout(s.expiryTimer);
-  await tryDelete(ctx,s.overviewMsgId); await tryDelete(ctx,s.promptMsgId); delete stepState[uid];
+bot.command('txnformat', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'configure')) return ctx.reply('🚫 You are not authorized to use /txnformat.');
+  const args=ctx.message.text.trim().split(/\s+/).slice(1).join(' ');
+  const prefix=companyPrefix(DB.users[uid]?.company || listCompanies()[0]?.id);
+  if (!args) return ctx.reply(
+    `🔢 <b>TxnID format</b>\n${describeTxnFormat(DB.txnFormat, prefix)}\n\n`+
+    `<code>/txnformat date=${Object.keys(DATE_PARTS).join('|')} width=${WIDTH_MIN}-${WIDTH_MAX} sep=-</code>\n`+
+    'Prefix is per company (/company prefix). The counter restarts with each date part (noon → noon); with date=none it never restarts.',
+    {parse_mode:'HTML'});
+  let format;
+  try { format=parseTxnFormat(args, DB.txnFormat); } catch(e){ return ctx.reply(`❌ ${e.message}`); }
+  await store.commit([ set(['txnFormat'], format) ]);
+  await ctx.reply(`✅ TxnID format: ${describeTxnFormat(format, prefix)}`);
 });
 
 // ────────────────────────────────────────────────────────────────────────────
-// Company selection (first-run)
+// API keys (/apikey, admin) for the REST API — see lib/api.js
 // ────────────────────────────────────────────────────────────────────────────
-bot.action(/^company_(Lunar|Wave|Ion|101)$/, async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); const company=ctx.match[1];
-  const user=DB.users[uid]||{}; user.company=company; DB.users[uid]=user; await saveDB();
-  const s=stepState[uid]; if (s?.promptMsgId) await tryDelete(ctx,s.promptMsgId); delete stepState[uid];
-  await ctx.reply(`✅ Company set to ${company}. Use /sale to start.`);
+const APIKEY_USAGE =
+  '🔑 <b>/apikey</b> usage:\n'+
+  '<code>/apikey</code> — list keys\n'+
+  '<code>/apikey add Name [CompanyID,CompanyID]</code> — optional company limit\n'+
+  '<code>/apikey revoke ID</code>';
+bot.command('apikey', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'configure')) return ctx.reply('🚫 You are not authorized to use /apikey.');
+  const [, sub, ...rest]=ctx.message.text.trim().split(/\s+/);
+  if (!sub){
+    const keys=Object.values(DB.apiKeys);
+    if (!keys.length) return ctx.reply(`📭 No API keys yet.\n\n${APIKEY_USAGE}`, {parse_mode:'HTML'});
+    return ctx.reply('🔑 <b>API keys</b>\n\n'+keys.map(k=>
+      `${k.revokedAt?'⛔':'✅'} #${k.id} <b>${escHtml(k.name)}</b> — ${k.companies ? k.companies.map(companyName).join(', ') : 'all companies'}${k.lastUsedAt?` | last used ${fmtSg(Date.parse(k.lastUsedAt))}`:''}`
+    ).join('\n')+`\n\n${APIKEY_USAGE}`, {parse_mode:'HTML'});
+  }
+  if (sub==='add'){
+    let companies=null;
+    if (rest.length>1 && rest.at(-1).split(',').every(id=>getCompany(id))) companies=rest.pop().split(',');
+    const name=rest.join(' ').trim().slice(0,40);
+    if (!name) return ctx.reply(APIKEY_USAGE, {parse_mode:'HTML'});
+    const id=String(DB.meta.nextApiKeyId || 1);
+    const { key, hash }=newApiKey(id);
+    await store.commit([
+      set(['apiKeys',id], { id, name, hash, companies, createdAt:new Date().toISOString(), createdBy:uid, revokedAt:null }),
+      set(['meta','nextApiKeyId'], Number(id)+1)
+    ]);
+    return ctx.reply(`✅ API key #${id} for <b>${name}</b>. It is shown only once:\n<code>${key}</code>\n\nSend it as <code>Authorization: Bearer KEY</code>.`, {parse_mode:'HTML'});
+  }
+  if (sub==='revoke'){
+    const k=DB.apiKeys[rest[0]];
+    if (!k || k.revokedAt) return ctx.reply('❌ Unknown or already revoked key.');
+    await store.commit([ merge(['apiKeys',k.id], { revokedAt:new Date().toISOString(), revokedBy:uid }) ]);
+    return ctx.reply(`⛔ Revoked API key #${k.id} (${k.name}).`);
+  }
+  return ctx.reply(APIKEY_USAGE, {parse_mode:'HTML'});
 });
 
 // ────────────────────────────────────────────────────────────────────────────
-// history filters
+// Static QRs (/staticqr, admin) — printable PayNow QRs per table or per company that need no operator.
+// Each keeps one reference "SQ<id>-<prefix>[-<table>]"; every credit paid against it is recorded as a sale of
+// that company/table (operator "Static QR", TxnID as usual), so /report, the API and the dashboard include it.
 // ────────────────────────────────────────────────────────────────────────────
-bot.action('hist_qr', async (ctx)=>{ await ctx.answerCbQuery(); const uid=String(ctx.from.id); const op=DB.users[uid]?.nickname||'Unknown'; await replyBig(ctx, renderHistoryChunk(filterMySales(uid,'QR Code'), op)); });
-bot.action('hist_cash', async (ctx)=>{ await ctx.answerCbQuery(); const uid=String(ctx.from.id); const op=DB.users[uid]?.nickname||'Unknown'; await replyBig(ctx, renderHistoryChunk(filterMySales(uid,'Cash'), op)); });
-bot.action('hist_all', async (ctx)=>{ await ctx.answerCbQuery(); const uid=String(ctx.from.id); const op=DB.users[uid]?.nickname||'Unknown'; await replyBig(ctx, renderHistoryChunk(filterMySales(uid,'ALL'), op)); });
+const STATIC_QR_OPERATOR = 'Static QR';
+const STATICQR_USAGE =
+  '🪧 <b>/staticqr</b> usage:\n'+
+  '<code>/staticqr</code> — list\n'+
+  '<code>/staticqr add CompanyID [table=T1|all] [amount=50]</code> — without amount the payer types it\n'+
+  '<code>/staticqr sheet [CompanyID|ID,ID]</code> — printable PDF of active QRs\n'+
+  '<code>/staticqr show ID</code> — one QR as an image\n'+
+  '<code>/staticqr disable|enable ID</code>';
+function staticQrReference(id, companyId, table){
+  const tag=String(table||'').toUpperCase().replace(/[^A-Z0-9]/g,'');
+  return `SQ${id}-${companyPrefix(companyId)}${tag?`-${tag}`:''}`.slice(0,25);
+}
+function staticQrLabel(q){ return escHtml(`${companyName(q.company)}${q.table?` — Table ${q.table}`:''}`); } // for HTML messages
+function staticQrAmount(q){ return q.amount ? `SGD ${fmt(q.amount)}` : 'Any amount'; }
+// POI 11 (reusable); with a fixed amount the payer can't change it, without one they type it in
+function staticQrPayload(q){ return payNowPayload(getCompany(q.company), { amount:q.amount, reference:q.reference, pointOfInitiation:POI.STATIC }); }
+
+bot.command('staticqr', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  if (!can(uid,'configure')) return ctx.reply('🚫 You are not authorized to use /staticqr.');
+  const [, sub, ...rest]=ctx.message.text.trim().split(/\s+/);
+  const qrs=Object.values(DB.staticQrs);
+  if (!sub){
+    if (!qrs.length) return ctx.reply(`📭 No static QRs yet.\n\n${STATICQR_USAGE}`, {parse_mode:'HTML'});
+    return replyBig(ctx, '🪧 <b>Static QRs</b>\n\n'+qrs.map(q=>
+      `${q.active?'✅':'⛔'} #${q.id} <code>${q.reference}</code> — ${staticQrLabel(q)} | ${staticQrAmount(q)}`
+    ).join('\n')+`\n\n${STATICQR_USAGE}`);
+  }
+  if (sub==='add'){
+    const company=getCompany(rest[0]);
+    if (!company?.active) return ctx.reply(`❌ Unknown or inactive company.\n\n${STATICQR_USAGE}`, {parse_mode:'HTML'});
+    let tables=[null], amount=null;
+    for (const part of rest.slice(1)){
+      const [k, v='']=part.split('=');
+      if (k==='table'){
+        if (!v) return ctx.reply(STATICQR_USAGE, {parse_mode:'HTML'});
+        tables = v.toLowerCase()==='all' ? [...DB.floor.tables] : [DB.floor.tables.find(t=>t.toLowerCase()===v.toLowerCase()) || v];
+      } else if (k==='amount'){
+        amount=Number(v);
+        if (!(amount>0)) return ctx.reply('❌ Amount must be a positive number.');
+        amount=Number(amount.toFixed(2));
+      } else return ctx.reply(STATICQR_USAGE, {parse_mode:'HTML'});
+    }
+    if (!tables.length) return ctx.reply('❌ The floor plan has no tables yet. Add them with /floor tables … or name one with table=T1.');
+    const proxyErr=payNowConfigError(company); if (proxyErr) return ctx.reply(`❌ ${proxyErr}`);
+    let id=DB.meta.nextStaticQrId || 1; const made=[];
+    for (const table of tables){
+      made.push({ id:String(id), company:company.id, table, amount, reference:staticQrReference(id, company.id, table),
+        active:true, createdAt:new Date().toISOString(), createdBy:uid });
+      id++;
+    }
+    await store.commit([ ...made.map(q=>set(['staticQrs',q.id], q)), set(['meta','nextStaticQrId'], id) ]);
+    return replyBig(ctx, `✅ Added ${made.length} static QR(s):\n`+made.map(q=>`#${q.id} <code>${q.reference}</code> — ${staticQrLabel(q)} | ${staticQrAmount(q)}`).join('\n')+
+      `\n\nPrint them with <code>/staticqr sheet ${company.id}</code>.`);
+  }
+  if (sub==='sheet'){
+    const arg=rest[0], co=getCompany(arg);
+    const pick = !arg ? qrs.filter(q=>q.active)
+      : co ? qrs.filter(q=>q.active && q.company===co.id)
+      : arg.split(',').map(id=>DB.staticQrs[id]).filter(Boolean);
+    if (!pick.length) return ctx.reply('📭 No static QRs to print.');
+    let pdf;
+    try {
+      pdf=renderQrSheetPdf(pick.map(q=>({ payload:staticQrPayload(q), title:q.table ? `Table ${q.table}` : companyName(q.company),
+        lines:[ `${companyName(q.company)} - PayNow`, staticQrAmount(q), `Ref ${q.reference}` ] })));
+    } catch(e){ return ctx.reply(`❌ Could not build the sheet: ${e.message}`); }
+    return ctx.replyWithDocument({ source:pdf, filename:`static-qr-${stampSg(Date.now())}.pdf` }, { caption:`🪧 ${pick.length} static QR(s) — print and place them on the tables.` });
+  }
+  const q=DB.staticQrs[rest[0]];
+  if (['show','disable','enable'].includes(sub) && !q) return ctx.reply('❌ Unknown static QR. See /staticqr for the list.');
+  if (sub==='show'){
+    let buffer;
+    try { buffer=await qrImage(staticQrPayload(q)); } catch(e){ return ctx.reply(`❌ Could not build the QR: ${e.message}`); }
+    return ctx.replyWithPhoto({ source:buffer }, { caption:`🪧 <b>${staticQrLabel(q)}</b>\n${staticQrAmount(q)} | Ref <code>${q.reference}</code>${q.active?'':'\n⛔ Disabled'}`, parse_mode:'HTML' });
+  }
+  if (sub==='disable' || sub==='enable'){
+    await store.commit([ merge(['staticQrs',q.id], { active:sub==='enable' }) ]);
+    return ctx.reply(sub==='enable' ? `✅ Static QR #${q.id} enabled.`
+      : `⛔ Static QR #${q.id} disabled and left off sheets. Payments made with copies already printed are still recorded.`);
+  }
+  return ctx.reply(STATICQR_USAGE, {parse_mode:'HTML'});
+});
 
 // ────────────────────────────────────────────────────────────────────────────
-// Text capture (first-run name; /sale name + amount)
+// Customer receipts (lib/receipt.js) — PDF in chat after a cash sale or a paid QR, plus a short-lived public link
+// (RECEIPT_LINK_MIN) the customer opens by scanning a QR on the operator's phone. Reprint: /history or /receipt.
 // ────────────────────────────────────────────────────────────────────────────
+function receiptFor(s){
+  const c=getCompany(s.company);
+  return { brand:c?.merchantName || c?.name || MERCHANT_NAME, company:companyName(s.company), txnId:s.transactionId || `#${s.id}`,
+    date:fmtSg(parseSaleTime(s.timestamp)), operator:s.operator || '-', recipient:s.recipient ?? s.girl ?? null, table:s.table ?? null,
+    set:s.set ?? null, lines:s.lines || [], payment:s.payment, base:s.amountBase ?? s.amount, surcharge:s.surcharge || 0, total:s.amount,
+    note:reversalNote(s) };
+}
+function receiptUrl(s){ return `${PUBLIC_URL}/r/${receiptToken(s.id, RECEIPT_SECRET, RECEIPT_LINK_MS)}`; }
+async function sendReceipt(telegram, chatId, s){
+  try{
+    await telegram.sendDocument(chatId, { source:renderReceiptPdf(receiptFor(s)), filename:`receipt-${s.transactionId || s.id}.pdf` }, {
+      caption:`🧾 Receipt <b>${escHtml(s.transactionId || '-')}</b> — SGD ${fmt(s.amount)}\nCustomer link (valid ${RECEIPT_LINK_MS/60000} min): ${receiptUrl(s)}`,
+      parse_mode:'HTML', reply_markup:{ inline_keyboard:[[{ text:'📱 QR for customer', callback_data:`receipt_qr_${s.id}` }]] }
+    });
+  }catch(e){ console.error('Failed to send receipt:', e.message); }
+}
+function receiptSale(uid, id){
+  const s=store.getSale(Number(id));
+  return s && maySeeSale(uid, s) ? s : null;
+}
+const NOT_SETTLED = (s)=>`ℹ️ ${s.transactionId || `Sale #${s.id}`} is ${s.status || 'not paid'}; a receipt is issued once it is paid.`;
+bot.action(/^receipt_qr_(\d+)$/, async (ctx)=>{
+  const s=receiptSale(String(ctx.from.id), ctx.match[1]);
+  if (!s) return ctx.answerCbQuery('❌ Sale not found.', { show_alert:true });
+  if (!saleSettled(s)) return ctx.answerCbQuery(NOT_SETTLED(s), { show_alert:true });
+  await ctx.answerCbQuery();
+  const buffer=await qrImage(receiptUrl(s));
+  const msg=await ctx.replyWithPhoto({ source:buffer }, { caption:`📱 Let the customer scan this for receipt <b>${escHtml(s.transactionId || '-')}</b> (link valid ${RECEIPT_LINK_MS/60000} min).`, parse_mode:'HTML' });
+  setTimeout(()=>tryDelete(ctx, msg.message_id), QR_LIFETIME_MS);
+});
+bot.action(/^receipt_(\d+)$/, async (ctx)=>{
+  const s=receiptSale(String(ctx.from.id), ctx.match[1]);
+  if (!s) return ctx.answerCbQuery('❌ Sale not found.', { show_alert:true });
+  if (!saleSettled(s)) return ctx.answerCbQuery(NOT_SETTLED(s), { show_alert:true });
+  await ctx.answerCbQuery();
+  await sendReceipt(ctx.telegram, ctx.chat.id, s);
+});
+bot.command('receipt', async (ctx)=>{
+  const uid=String(ctx.from.id);
+  const [, txnId='']=ctx.message.text.trim().split(/\s+/);
+  if (!txnId) return ctx.reply('Usage: /receipt <TxnID>\nOr pick one under /history.');
+  const s=DB.sales.filter(x=>String(x.transactionId||'').toUpperCase()===txnId.toUpperCase() && maySeeSale(uid, x)).at(-1);
+  if (!s) return ctx.reply(`❌ No sale ${txnId} found.`);
+  if (!saleSettled(s)) return ctx.reply(NOT_SETTLED(s));
+  await sendReceipt(ctx.telegram, ctx.chat.id, s);
+});
+
+// Text capture (first-run name; /sale name + amount)
 bot.on('text', async (ctx,next)=>{
   const uid=String(ctx.from.id); const msg=ctx.message.text?.trim()||''; if (msg.startsWith('/')) return next();
   const s=stepState[uid]; if (!s) return next();
 
   if (s.mode==='nickname' && s.awaiting==='nick'){
-    const user=DB.users[uid]||{}; user.nickname=msg; DB.users[uid]=user; await saveDB();
+    if (msg.length>NICK_MAX) return ctx.reply(`❌ Please keep it to ${NICK_MAX} characters or fewer. What should I call you?`);
+    await store.commit([ merge(['users',uid], { nickname:msg }) ]); const user=DB.users[uid];
     await tryDelete(ctx,ctx.message.message_id); await tryDelete(ctx,s.promptMsgId);
-    const kb={inline_keyboard:[[ {text:'Lunar',callback_data:'company_Lunar'},{text:'Wave',callback_data:'company_Wave'},
-                                 {text:'Ion',callback_data:'company_Ion'},{text:'101',callback_data:'company_101'} ]]};
-    const m=await ctx.reply(`Nice to meet you, ${user.nickname}! Choose your company:`,{reply_markup:kb});
+    const m=await ctx.reply(`Nice to meet you, ${user.nickname}! Choose your company:`,{reply_markup:companyKeyboard('company_')});
     s.mode='company'; s.awaiting='company'; s.promptMsgId=m.message_id; return;
   }
 
+  if (s.mode==='report' && s.awaiting==='rep_custom'){
+    const range=parseCustomRange(msg);
+    if (!range) return ctx.reply('❌ Could not read that. Use DD/MM/YYYY or DD/MM/YYYY - DD/MM/YYYY (start not after end).');
+    await tryDelete(ctx,ctx.message.message_id);
+    return runReport(ctx, uid, s, range);
+  }
+
   if (s.mode==='sale' && s.awaiting){
-    if (s.awaiting==='name'){
-      s.fields.name=msg;
+    if (s.awaiting==='recipient'){ // roster search
+      await tryDelete(ctx,ctx.message.message_id);
+      return askRecipient(ctx, s, { query:msg });
+    } else if (s.awaiting==='recipient_text'){ // no roster configured
+      await tryDelete(ctx,ctx.message.message_id); await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null;
+      return pickRecipient(ctx, s, msg.slice(0,40));
+    } else if (s.awaiting==='table'){ // no floor plan configured
+      s.fields.table=msg.slice(0,20);
       await tryDelete(ctx,ctx.message.message_id); await tryDelete(ctx,s.promptMsgId);
       s.awaiting=null; s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s); return;
+    } else if (s.awaiting==='set'){ // no sets configured
+      await tryDelete(ctx,ctx.message.message_id); await tryDelete(ctx,s.promptMsgId); s.promptMsgId=null;
+      return pickSet(ctx, s, msg==='-' ? null : msg.slice(0,20));
     } else if (s.awaiting==='amount'){
-      let val=Number(msg);
-      if (!Number.isFinite(val) || val<MIN_AMOUNT){ val=MIN_AMOUNT; await ctx.reply(`ℹ️ Amount set to minimum: ${MIN_AMOUNT}`); }
-      s.fields.amount=val;
+      const { value, note }=clampAmount(saleRule(s), Number(msg));
+      if (note) await ctx.reply(`ℹ️ ${note}`);
+      setSaleAmount(s, value);
       await tryDelete(ctx,ctx.message.message_id); await tryDelete(ctx,s.promptMsgId);
       s.awaiting=null; s.promptMsgId=null; await saleShowOverview(ctx,s); touch(ctx,s); return;
     }
@@ -899,121 +2495,285 @@ bot.on('text', async (ctx,next)=>{
   return next();
 });
 
-// ────────────────────────────────────────────────────────────────────────────
-// /report flow (company → scope → operator) — NET reporting
-// ────────────────────────────────────────────────────────────────────────────
-bot.command('report', async (ctx)=>{
-  const uid=String(ctx.from.id);
-  if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 You are not authorized to use /report.');
-  if (!ADMIN_CHAT_ID) return ctx.reply('⚠️ ADMIN_CHAT_ID is not set in .env');
-  try { await ctx.telegram.getChat(ADMIN_CHAT_ID); } catch(e){ return ctx.reply(`⚠️ I can’t access ADMIN_CHAT_ID (${ADMIN_CHAT_ID}). Add me to that group.\n${e.message}`); }
+const app = express();
+app.use(express.json());
 
-  const rows = [
-    [{ text:'Lunar', callback_data:'rep_company_Lunar' }, { text:'Wave', callback_data:'rep_company_Wave' }],
-    [{ text:'Ion',   callback_data:'rep_company_Ion'   }, { text:'101',  callback_data:'rep_company_101'  }]
-  ];
-  const m = await ctx.reply('📑 <b>Report</b> — Step 1/3: Choose <b>Company</b>', { parse_mode:'HTML', reply_markup:{ inline_keyboard:rows } });
-  stepState[uid]={ mode:'report', awaiting:'rep_company', promptMsgId:m.message_id, overviewMsgId:null, expiryTimer:null, fields:{}, report:{} };
-});
+// Health check
+app.get('/', (req,res)=>res.send('OK'));
 
-bot.action(/^rep_company_(Lunar|Wave|Ion|101)$/, async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 Not authorized.');
-  const s=stepState[uid]; if (!s || s.mode!=='report') return;
-  const company=ctx.match[1]; s.report.company=company;
+// Webhook endpoint (only when CLOUD_RUN_URL is set). Telegram sends the secret given to setWebhook in
+// X-Telegram-Bot-Api-Secret-Token; anything else is rejected before it reaches the bot.
+// Every update gets a 200 — a 5xx makes Telegram redeliver it, which could record a sale twice —
+// and an update_id seen recently is acknowledged without running again.
+const SEEN_UPDATES_MAX = 2000;
+const seenUpdates = new Set();
+function firstDelivery(updateId){
+  if (seenUpdates.has(updateId)) return false;
+  seenUpdates.add(updateId);
+  if (seenUpdates.size>SEEN_UPDATES_MAX) seenUpdates.delete(seenUpdates.values().next().value);
+  return true;
+}
+// constant-time compare of a presented header against a shared secret
+function secretMatches(given, secret=WEBHOOK_SECRET){
+  const a=Buffer.from(String(given||'')), b=Buffer.from(secret);
+  return a.length===b.length && timingSafeEqual(a, b);
+}
+const inFlight = new Set(); // update handlers still running (awaited on shutdown)
+let shuttingDown = false;
+// Webhook and long polling both go through handleUpdate, so every running update is tracked here
+const handleUpdate = bot.handleUpdate.bind(bot);
+bot.handleUpdate = (...args)=>{
+  const p=handleUpdate(...args); inFlight.add(p);
+  return p.finally(()=>inFlight.delete(p));
+};
+if (WEBHOOK_URL) app.post('/bot', async (req, res) => {
+  if (!secretMatches(req.get('X-Telegram-Bot-Api-Secret-Token'))) return res.sendStatus(401);
+  const update=req.body||{};
+  if (!Number.isInteger(update.update_id)) return res.sendStatus(400);
+  if (shuttingDown) return res.sendStatus(503); // Telegram retries once we're back up
+  if (!firstDelivery(update.update_id)) return res.sendStatus(200);
+  await bot.handleUpdate(update).catch(err=>console.error(`Error handling update ${update.update_id}:`, err));
+  res.sendStatus(200);
+});
 
-  const kb={ inline_keyboard:[
-    [{ text:'Individual', callback_data:'rep_scope_ME' }, { text:'All', callback_data:'rep_scope_ALL' }],
-    [{ text:'❌ Cancel', callback_data:'rep_cancel' }]
-  ]};
-  const m=await ctx.reply(`📑 <b>Report</b> — Step 2/3: Scope for <b>${company}</b>`, { parse_mode:'HTML', reply_markup:kb });
-  await tryDelete(ctx, s.promptMsgId); s.promptMsgId=m.message_id; s.awaiting='rep_scope';
+// Bank credit notifications (PayNow incoming) — body is one credit, an array, or { credits:[...] }
+app.post('/bank/notify', async (req, res) => {
+  if (!BANK_WEBHOOK_SECRET) return res.status(503).json({ error:'BANK_WEBHOOK_SECRET is not configured' });
+  if (!secretMatches(req.get('X-Webhook-Secret'), BANK_WEBHOOK_SECRET)) return res.sendStatus(401);
+  const body=req.body||{};
+  const items=Array.isArray(body) ? body : (Array.isArray(body.credits) ? body.credits : [body]);
+  let credits;
+  try { credits=items.map(parseBankNotification); }
+  catch(e){ return res.status(400).json({ error:e.message }); }
+  try { res.json(await applyBankCredits(bot.telegram, credits)); }
+  catch(err){ console.error('Error applying bank credits:', err); res.sendStatus(500); }
 });
-bot.action(/^rep_scope_(ME|ALL)$/, async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 Not authorized.');
-  const s=stepState[uid]; if (!s || s.mode!=='report') return;
-  const scope=ctx.match[1]; s.report.scope=scope;
 
-  if (scope==='ALL'){
-    const rows = buildReportRows({ sinceMs: tenHoursAgoMs(), company: s.report.company, operatorId: null });
-    await sendReportToAdmin(ctx, rows, `${s.report.company} • All Operators`);
-    await tryDelete(ctx, s.promptMsgId); delete stepState[uid]; return;
+// ────────────────────────────────────────────────────────────────────────────
+// REST API (/api/*) — API key per integration (/apikey); JSON by default, CSV via Accept: text/csv or ?format=csv
+// Filters: company, operator (user id), method (cash|qr), from/to (ISO, epoch ms or DD/MM/YYYY HH:mm SGT) or period
+// ────────────────────────────────────────────────────────────────────────────
+const api = express.Router();
+api.use((req, res, next)=>{
+  const presented=req.get('X-API-Key') || (req.get('Authorization')||'').replace(/^Bearer\s+/i,'');
+  const key=findApiKey(DB.apiKeys, presented);
+  if (!key) return res.status(401).json({ error:'invalid or missing API key' });
+  req.apiKey=key; req.companies=key.companies; // null = every company
+  // last-use stamp at most once a minute (it is a journal write)
+  if (!key.lastUsedAt || Date.now()-Date.parse(key.lastUsedAt)>60_000) store.commit([ merge(['apiKeys',key.id], { lastUsedAt:new Date().toISOString() }) ]).catch(()=>{});
+  next();
+});
+// The handlers below are shared with the dashboard (/dashboard/data/*); req.companies limits what they return
+const apiCompanyAllowed=(req, company)=>!req.companies || req.companies.includes(String(company));
+function apiMethod(v){
+  if (v===undefined) return undefined;
+  return { cash:'Cash', qr:'QR Code', 'qr code':'QR Code' }[String(v).toLowerCase()] ?? null;
+}
+// Query → report filters, or { error }
+function apiFilters(req){
+  const q=req.query;
+  if (q.company!==undefined && !getCompany(q.company)) return { error:`unknown company ${q.company}` };
+  if (q.company!==undefined && !apiCompanyAllowed(req, q.company)) return { error:`no access to company ${q.company}`, status:403 };
+  const method=apiMethod(q.method);
+  if (method===null) return { error:'method must be cash or qr' };
+  let sinceMs=parseApiTime(q.from), untilMs=parseApiTime(q.to);
+  if (q.period!==undefined){
+    const range=reportRange(q.period);
+    if (!range) return { error:`period must be one of ${REPORT_PERIODS.map(([id])=>id).filter(id=>id!=='custom').join(', ')}` };
+    sinceMs=range.from; untilMs=range.to;
   }
+  if (Number.isNaN(sinceMs) || Number.isNaN(untilMs)) return { error:'from/to must be ISO, epoch ms or DD/MM/YYYY HH:mm' };
+  return { sinceMs, untilMs, company:q.company, operatorId:q.operator, method };
+}
+function apiScoped(req, items){ return req.companies ? items.filter(s=>apiCompanyAllowed(req, s.company)) : items; }
+function wantsCsv(req){ return req.query.format==='csv' || (req.query.format===undefined && req.accepts(['json','csv'])==='csv'); }
+function sendApi(req, res, body, rows, filename){
+  if (!wantsCsv(req)) return res.json(body);
+  res.type('text/csv').attachment(`${filename}.csv`).send(toCsv(rows));
+}
+function apiSale(s){
+  return {
+    id:s.id, txnId:s.transactionId || null, timestamp:new Date(parseSaleTime(s.timestamp)).toISOString(),
+    operatorId:s.operatorId || null, operator:s.operator || null, company:s.company || null, type:s.type || 'single',
+    recipient:s.recipient ?? null, table:s.table ?? null, set:s.set ?? null, lines:s.lines || null,
+    method:s.payment || null, amountBase:Number(s.amountBase ?? s.amount ?? 0), surcharge:Number(s.surcharge || 0), amount:Number(s.amount || 0),
+    reversed:Number(s.reversedBase || 0), net:netBase(s), voided:!!s.voided,
+    status:s.status || null, paidAmount:s.paidAmount ?? null, reference:s.reference || null, shiftId:s.shiftId ?? null
+  };
+}
 
-  // Individual → pick operator in that company
-  const ops = Object.entries(DB.users)
-    .filter(([id,u]) => (u?.company || '') === s.report.company)
-    .map(([id,u]) => ({ id, nickname: u.nickname || id }));
-  if (!ops.length){
-    await tryDelete(ctx, s.promptMsgId); delete stepState[uid];
-    return ctx.reply(`📭 No operators found for ${s.report.company}.`);
-  }
-  const rows=[];
-  for (let i=0;i<ops.length;i+=2){ rows.push(ops.slice(i,i+2).map(o=>({ text:o.nickname, callback_data:`rep_op_${o.id}` }))); }
-  rows.push([{ text:'⬅️ Back', callback_data:'rep_scope_back' }, { text:'❌ Cancel', callback_data:'rep_cancel' }]);
+function listSales(req, res){
+  const f=apiFilters(req); if (f.error) return res.status(f.status || 400).json({ error:f.error });
+  // a CSV download without limit= is the whole filtered view
+  const page=wantsCsv(req) && req.query.limit===undefined ? { limit:Infinity, offset:0 } : parsePage(req.query);
+  if (page.error) return res.status(400).json({ error:page.error });
+  // order=asc (default, oldest first) | desc (newest first, so offset 0 is the latest page)
+  const order=req.query.order ?? 'asc';
+  if (order!=='asc' && order!=='desc') return res.status(400).json({ error:'order must be asc or desc' });
+  const sales=apiScoped(req, reportSales(f));
+  const out=paginate((order==='desc' ? sales.slice().reverse() : sales).map(apiSale), page);
+  sendApi(req, res, out, out.data.map(s=>({ ...s, lines:s.lines?.map(l=>`${l.recipient}${l.set?` (${l.set})`:''}: ${l.amountBase}`).join('; ') })), 'sales');
+}
+function getSaleByTxn(req, res){
+  const want=req.params.txnId.toUpperCase();
+  const matches=apiScoped(req, DB.sales.filter(s=>String(s.transactionId||'').toUpperCase()===want));
+  if (!matches.length) return res.status(404).json({ error:'not found' });
+  const s=matches.at(-1); // IDs issued before they were unique may repeat; newest wins
+  const body={ ...apiSale(s),
+    reversals:DB.reversals.filter(r=>r.saleId===s.id).map(({ requestChatId, ...r })=>r),
+    payments:DB.payments.filter(p=>p.saleId===s.id),
+    duplicates:matches.length-1 };
+  sendApi(req, res, body, [apiSale(s)], `sale_${s.transactionId}`);
+}
+// Hour buckets (SGT) in shift order, starting at the shift start hour
+function hourTotals(rows){
+  const hours=Array.from({ length:24 }, (_, i)=>({ key:String((SHIFT_START_HOUR+i)%24).padStart(2,'0'), count:0, net:0 }));
+  for (const r of rows){ if (r.at===null) continue; const h=hours[(sgParts(r.at).hh-SHIFT_START_HOUR+24)%24]; h.count++; h.net+=Number(r.value)||0; }
+  return hours.map(h=>({ ...h, net:Number(h.net.toFixed(2)) }));
+}
+function summary(req, res){
+  const f=apiFilters(req); if (f.error) return res.status(f.status || 400).json({ error:f.error });
+  const sales=apiScoped(req, reportSales(f)), rows=sales.flatMap(saleRows);
+  const sum=(k)=>Number(rows.reduce((t,r)=>t+(Number(r[k])||0),0).toFixed(2));
+  const groups=(key)=>groupTotals(rows, key).map(([k,g])=>({ key:k, count:g.count, cash:Number(g.cash.toFixed(2)), qr:Number(g.qr.toFixed(2)), net:Number(g.net.toFixed(2)) }));
+  const body={
+    range:{ from:f.sinceMs!==undefined ? new Date(f.sinceMs).toISOString() : null, to:f.untilMs!==undefined ? new Date(f.untilMs).toISOString() : null },
+    sales:sales.length, rows:rows.length, gross:sum('gross'), reversed:sum('reversed'), net:sum('value'),
+    surcharge:Number(sales.reduce((t,s)=>t+Number(s.surcharge||0),0).toFixed(2)),
+    byMethod:groups(r=>r.method), byCompany:groups(r=>r.company || '-'), byOperator:groups(r=>r.salesPerson),
+    byRecipient:groups(r=>r.recipient || '-'), byTable:groups(r=>r.table || '-'), byHour:hourTotals(rows)
+  };
+  const flat=[...['byMethod','byCompany','byOperator','byRecipient','byTable','byHour'].flatMap(g=>body[g].map(x=>({ group:g.slice(2).toLowerCase(), ...x }))),
+    { group:'total', key:'', count:body.rows, cash:null, qr:null, net:body.net }];
+  sendApi(req, res, body, flat, 'summary');
+}
+function listUsers(req, res){
+  const page=parsePage(req.query); if (page.error) return res.status(400).json({ error:page.error });
+  const users=Object.entries(DB.users)
+    .filter(([, u])=>apiCompanyAllowed(req, u.company))
+    .map(([id, u])=>({ id, nickname:u.nickname || null, company:u.company || null, role:userRole(id) || u.role || null, status:u.status || null }));
+  const out=paginate(users, page);
+  sendApi(req, res, out, out.data, 'users');
+}
+api.get('/sales', listSales);
+api.get('/sales/:txnId', getSaleByTxn);
+api.get('/reports/summary', summary);
+api.get('/users', listUsers);
+app.use('/api', api);
 
-  const m=await ctx.reply(`📑 <b>Report</b> — Step 3/3: Pick <b>Operator</b> in ${s.report.company}`, { parse_mode:'HTML', reply_markup:{inline_keyboard:rows} });
-  await tryDelete(ctx, s.promptMsgId); s.promptMsgId=m.message_id; s.awaiting='rep_operator';
+// ────────────────────────────────────────────────────────────────────────────
+// Web dashboard (/dashboard) — Telegram login (owner/manager/viewer, scoped like /report) or DASHBOARD_PASSWORD
+// (owner view). Data comes from the REST API handlers above, mounted under /dashboard/data.
+// ────────────────────────────────────────────────────────────────────────────
+const dash = express.Router();
+const secureCookies = /^https:/i.test(WEBHOOK_URL || '');
+let loginBotUsername = null;
+async function botUsername(){
+  if (!loginBotUsername){ try { loginBotUsername=(await bot.telegram.getMe()).username || null; } catch {} }
+  return loginBotUsername;
+}
+// Signed-in viewer → { uid, via, role, name, companies (null = all) } or null
+function dashboardUser(req){
+  const p=readSession(req.get('Cookie'), DASHBOARD_SECRET);
+  if (!p) return null;
+  if (p.via==='password') return { ...p, role:'owner', name:'Admin', companies:null };
+  const role=userRole(p.uid);
+  if (!hasPermission(role, 'report')) return null; // role re-checked on every request
+  return { ...p, role, name:DB.users[p.uid]?.nickname || p.uid, companies: role==='owner' ? null : [String(DB.users[p.uid]?.company)] };
+}
+function startDashboardSession(res, uid, via){
+  res.set('Set-Cookie', sessionCookie(signSession({ uid, via, exp:Date.now()+SESSION_TTL_MS }, DASHBOARD_SECRET), { secure:secureCookies }));
+  res.redirect('/dashboard');
+}
+async function loginPage(res, error='', status=200){
+  res.status(status).type('html').send(renderLoginPage({ error, botUsername:await botUsername(), passwordEnabled:!!DASHBOARD_PASSWORD }));
+}
+
+dash.get('/login', (req, res)=>loginPage(res));
+dash.post('/login', express.urlencoded({ extended:false }), async (req, res)=>{
+  if (!passwordMatches(req.body?.password, DASHBOARD_PASSWORD)) return loginPage(res, 'Wrong password.', 401);
+  startDashboardSession(res, 'password', 'password');
 });
-bot.action('rep_scope_back', async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s || s.mode!=='report') return;
-  const kb={ inline_keyboard:[
-    [{ text:'Individual', callback_data:'rep_scope_ME' }, { text:'All', callback_data:'rep_scope_ALL' }],
-    [{ text:'❌ Cancel', callback_data:'rep_cancel' }]
-  ]};
-  const m=await ctx.reply(`📑 <b>Report</b> — Step 2/3: Scope for <b>${s.report.company}</b>`, { parse_mode:'HTML', reply_markup:kb });
-  await tryDelete(ctx, s.promptMsgId); s.promptMsgId=m.message_id; s.awaiting='rep_scope';
+dash.get('/auth/telegram', async (req, res)=>{
+  if (!verifyTelegramLogin(req.query, BOT_TOKEN)) return loginPage(res, 'Telegram sign-in could not be verified. Try again.', 401);
+  const uid=String(req.query.id);
+  if (!can(uid,'report')) return loginPage(res, accessNote(uid), 403);
+  startDashboardSession(res, uid, 'telegram');
 });
-bot.action(/^rep_op_(\d+)$/, async (ctx)=>{
-  await ctx.answerCbQuery();
-  const uid=String(ctx.from.id); if (!ADMIN_IDS.includes(uid)) return ctx.reply('🚫 Not authorized.');
-  const s=stepState[uid]; if (!s || s.mode!=='report') return;
-
-  const targetId = ctx.match[1];
-  const rows = buildReportRows({ sinceMs: tenHoursAgoMs(), company: s.report.company, operatorId: targetId });
-  const opName = DB.users[targetId]?.nickname || targetId;
-
-  await sendReportToAdmin(ctx, rows, `${s.report.company} • ${opName}`);
-  await tryDelete(ctx, s.promptMsgId); delete stepState[uid];
+dash.post('/logout', (req, res)=>{
+  res.set('Set-Cookie', sessionCookie('', { secure:secureCookies, maxAgeMs:0 }));
+  res.redirect('/dashboard/login');
 });
-bot.action('rep_cancel', async (ctx)=>{
-  await ctx.answerCbQuery('Cancelled');
-  const uid=String(ctx.from.id); const s=stepState[uid]; if (!s||s.mode!=='report') return;
-  await tryDelete(ctx, s.promptMsgId); delete stepState[uid];
-  await ctx.reply('❌ Report cancelled.');
+dash.use('/data', (req, res, next)=>{
+  const user=dashboardUser(req);
+  if (!user) return res.status(401).json({ error:'signed out' });
+  req.companies=user.companies; next();
 });
+dash.get('/data/sales', listSales);
+dash.get('/data/sales/:txnId', getSaleByTxn);
+dash.get('/data/summary', summary);
+dash.get('/', (req, res)=>{
+  const user=dashboardUser(req);
+  if (!user) return res.redirect('/dashboard/login');
+  const inView=(company)=>!user.companies || user.companies.includes(String(company));
+  const companies=listCompanies().filter(c=>inView(c.id)).map(c=>({ id:c.id, name:c.name }));
+  const operators=Object.entries(DB.users)
+    .filter(([, u])=>u.nickname && inView(u.company) && u.status!=='merged')
+    .map(([id, u])=>({ id, name:u.nickname }))
+    .sort((a,b)=>a.name.localeCompare(b.name));
+  res.type('html').send(renderDashboardPage({ who:`${user.name} · ${user.role}`, companies, operators }));
+});
+app.use('/dashboard', dash);
 
-const app = express();
-app.use(express.json());
-
-// Health check
-app.get('/', (req,res)=>res.send('OK'));
-
-// Webhook endpoint
-app.post('/bot', (req, res) => {
-  bot.handleUpdate(req.body)
-    .then(() => res.sendStatus(200))
-    .catch(err => {
-      console.error('Error handling update:', err);
-      res.sendStatus(500);
-    });
+// ────────────────────────────────────────────────────────────────────────────
+// Public receipt links (/r/<token>) — no login; the signed token names one sale and expires (lib/receipt.js)
+// ────────────────────────────────────────────────────────────────────────────
+function receiptFromLink(req, res){
+  const t=readReceiptToken(req.params.token, RECEIPT_SECRET);
+  const s=t && store.getSale(t.saleId);
+  if (!s){ res.status(404).type('text').send('Receipt not found.'); return null; }
+  if (t.expired){ res.status(410).type('text').send('This receipt link has expired. Please ask the staff for a new one.'); return null; }
+  res.set('Cache-Control', 'private, no-store');
+  return { s, t };
+}
+app.get('/r/:token', (req, res)=>{
+  const hit=receiptFromLink(req, res); if (!hit) return;
+  res.type('html').send(renderReceiptHtml(receiptFor(hit.s), { pdfUrl:`${req.params.token}/pdf`, expiresAt:fmtSg(hit.t.expiresAt) }));
+});
+app.get('/r/:token/pdf', (req, res)=>{
+  const hit=receiptFromLink(req, res); if (!hit) return;
+  res.type('application/pdf').set('Content-Disposition', `inline; filename="receipt-${hit.s.transactionId || hit.s.id}.pdf"`).send(renderReceiptPdf(receiptFor(hit.s)));
 });
 
 // Start Express
-app.listen(PORT, ()=>console.log(`Server listening on port ${PORT}`));
+const server = app.listen(PORT, ()=>console.log(`Server listening on port ${PORT}`));
 
 // ────────────────────────────────────────────────────────────────────────────
-// Launch
-// ────────────────────────────────────────────────────────────────────────────
+// Launch: webhook on Cloud Run (CLOUD_RUN_URL), long polling for local development
 // ────────────────────────────────────────────────────────────────────────────
-// Set webhook (Cloud Run will call /bot)
-// ────────────────────────────────────────────────────────────────────────────
-const WEBHOOK_URL = process.env.CLOUD_RUN_URL; // e.g., https://your-service-xyz.a.run.app
-
 if (WEBHOOK_URL) {
-  bot.telegram.setWebhook(`${WEBHOOK_URL}/bot`)
+  bot.telegram.setWebhook(`${WEBHOOK_URL}/bot`, { secret_token:WEBHOOK_SECRET })
     .then(() => console.log(`✅ Webhook set to ${WEBHOOK_URL}/bot`))
     .catch(err => console.error('❌ Failed to set webhook:', err));
+} else {
+  // launch() removes any webhook first; it resolves only when polling stops
+  bot.launch().catch(err => console.error('❌ Polling stopped:', err));
+  console.log('✅ Polling for updates (CLOUD_RUN_URL is not set)');
+}
+
+// Graceful shutdown (Cloud Run sends SIGTERM, then SIGKILL ~10s later): stop taking updates,
+// let running handlers finish, then flush and snapshot the store
+async function shutdown(signal){
+  if (shuttingDown) return;
+  shuttingDown=true;
+  console.log(`${signal}: shutting down`);
+  const force=setTimeout(()=>{ console.error('Shutdown timed out'); process.exit(1); }, SHUTDOWN_GRACE_MS); force.unref();
+  if (!WEBHOOK_URL) { try { bot.stop(signal); } catch {} }
+  server.close();
+  // polling still hands over the rest of its last batch one update at a time, so wait until none is left
+  do { await Promise.allSettled([...inFlight]); await new Promise(r=>setImmediate(r)); } while (inFlight.size);
+  try { await store.close(); } catch(e){ console.error('Store close failed:', e); process.exit(1); }
+  process.exit(0);
 }
+process.once('SIGTERM', ()=>shutdown('SIGTERM'));
+process.once('SIGINT', ()=>shutdown('SIGINT'));
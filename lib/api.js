@@ -0,0 +1,54 @@
+// lib/api.js — helpers for the REST API (/api/*) on the Express server
+// • API keys are per integration: DB.apiKeys[id] = { id, name, hash, companies|null, createdAt, createdBy, revokedAt }
+//   Only the SHA-256 of a key is stored; the key itself ("pgk_<id>_<secret>") is shown once when created
+// • Lists are paginated with limit/offset; any response can be CSV (Accept: text/csv or ?format=csv)
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { parseSgDateTime } from './time.js';
+
+export const PAGE_DEFAULT = 100, PAGE_MAX = 1000;
+
+export function hashApiKey(key){ return createHash('sha256').update(String(key)).digest('hex'); }
+export function newApiKey(id){
+  const key=`pgk_${id}_${randomBytes(24).toString('base64url')}`;
+  return { key, hash:hashApiKey(key) };
+}
+// "Authorization: Bearer <key>" or "X-API-Key: <key>" → matching, non-revoked key record or null
+export function findApiKey(keys, presented){
+  const m=String(presented||'').match(/^pgk_(\d+)_[\w-]+$/);
+  const rec=m && keys[m[1]];
+  if (!rec || rec.revokedAt) return null;
+  const a=Buffer.from(hashApiKey(presented)), b=Buffer.from(rec.hash);
+  return a.length===b.length && timingSafeEqual(a, b) ? rec : null;
+}
+
+// ISO instant, epoch ms or SG "DD/MM/YYYY[ HH:mm]" → epoch ms; undefined when absent, NaN when unreadable
+export function parseApiTime(v){
+  if (v===undefined || v==='') return undefined;
+  if (/^\d{10,}$/.test(v)) return Number(v);
+  const sg=parseSgDateTime(v); if (sg!==null) return sg;
+  return /^\d{4}-\d{2}-\d{2}/.test(v) ? Date.parse(v) : NaN;
+}
+
+// → { error } | { limit, offset }
+export function parsePage(query){
+  const limit=query.limit===undefined ? PAGE_DEFAULT : Number(query.limit);
+  const offset=query.offset===undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit<1 || limit>PAGE_MAX) return { error:`limit must be 1–${PAGE_MAX}` };
+  if (!Number.isInteger(offset) || offset<0) return { error:'offset must be 0 or more' };
+  return { limit, offset };
+}
+export function paginate(items, { limit, offset }){
+  const data=items.slice(offset, offset+limit);
+  return { data, total:items.length, limit, offset, nextOffset: offset+limit<items.length ? offset+limit : null };
+}
+
+function csvCell(v){
+  if (v===null || v===undefined) return '';
+  const s=typeof v==='object' ? JSON.stringify(v) : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
+}
+// rows of flat objects → CSV with the given columns (all keys of the first row by default)
+export function toCsv(rows, columns=Object.keys(rows[0]||{})){
+  return [columns.join(','), ...rows.map(r=>columns.map(c=>csvCell(r[c])).join(','))].join('\n')+'\n';
+}
@@ -0,0 +1,72 @@
+// lib/commission.js — commission / payout calculation on NET sales (amountBase after voids/refunds)
+// config = { operator:{ default:tiers, companies:{ [companyId]:tiers }, people:{ [operatorId]:tiers } },
+//            recipient:{ default:tiers, companies:{ [companyId]:tiers }, people:{ [recipientName]:tiers } } }
+// tiers = [{ from:0, pct:10 }, { from:5000, pct:12 }] — marginal brackets: 10% of the first 5000, 12% above
+// Most specific wins: person → company → default. No tiers means no commission.
+
+import { round2 } from './pricing.js';
+
+export const PAYEE_KINDS = ['operator','recipient'];
+
+export function emptyCommission(){
+  const side=()=>({ default:[], companies:{}, people:{} });
+  return { operator:side(), recipient:side() };
+}
+
+// "10" → [{from:0,pct:10}]; "0:10, 5000:12" → brackets. Throws with a user-facing message.
+export function parseTiers(text){
+  const parts=String(text||'').split(',').map(p=>p.trim()).filter(Boolean);
+  if (!parts.length) throw new Error('Give a rate like 10 or tiers like 0:10,5000:12.');
+  const tiers=parts.map(p=>{
+    const m=p.match(/^(?:(\d+(?:\.\d+)?):)?(\d+(?:\.\d+)?)%?$/);
+    if (!m) throw new Error(`Could not read “${p}”. Use from:pct, e.g. 5000:12.`);
+    return { from:Number(m[1]??0), pct:Number(m[2]) };
+  }).sort((a,b)=>a.from-b.from);
+  if (tiers[0].from!==0) throw new Error('The first tier must start at 0.');
+  if (new Set(tiers.map(t=>t.from)).size!==tiers.length) throw new Error('Two tiers start at the same amount.');
+  if (tiers.some(t=>t.pct>100)) throw new Error('A rate cannot be above 100%.');
+  return tiers;
+}
+export function describeTiers(tiers){
+  if (!tiers?.length) return 'none';
+  if (tiers.length===1) return `${tiers[0].pct}%`;
+  return tiers.map((t,i)=>`${t.pct}% ${i ? `above ${t.from}` : `up to ${tiers[1].from}`}`).join(', ');
+}
+
+export function resolveTiers(config, kind, { company, person }){
+  const side=config?.[kind]; if (!side) return [];
+  if (person!==undefined && person!==null && side.people?.[person]?.length) return side.people[person];
+  if (company && side.companies?.[company]?.length) return side.companies[company];
+  return side.default || [];
+}
+
+// Commission on `volume` under marginal brackets
+export function commissionFor(tiers, volume){
+  let total=0;
+  tiers.forEach((t,i)=>{
+    const upper=tiers[i+1]?.from ?? Infinity;
+    const slice=Math.min(volume, upper)-t.from;
+    if (slice>0) total+=slice*t.pct/100;
+  });
+  return round2(total);
+}
+
+// rows: report rows ({ value (NET), company, operatorId, salesPerson, recipient }) → payout lines,
+// one per payee and company, biggest first. Recipients are keyed by name (as stored on the sale).
+export function computePayouts(rows, config){
+  const groups=new Map();
+  const add=(kind, person, label, company, value)=>{
+    const key=`${kind}|${person}|${company||''}`;
+    const g=groups.get(key) || { kind, person, label, company:company||null, count:0, volume:0 };
+    g.count++; g.volume+=value; groups.set(key, g);
+  };
+  for (const r of rows){
+    const v=Number(r.value)||0;
+    if (r.operatorId) add('operator', String(r.operatorId), r.salesPerson || r.operatorId, r.company, v);
+    if (r.recipient) add('recipient', r.recipient, r.recipient, r.company, v);
+  }
+  return [...groups.values()].map(g=>{
+    const volume=round2(g.volume), tiers=resolveTiers(config, g.kind, { company:g.company, person:g.person });
+    return { ...g, volume, tiers, amount:commissionFor(tiers, volume) };
+  }).filter(l=>l.amount>0).sort((a,b)=>a.kind.localeCompare(b.kind) || b.amount-a.amount);
+}
@@ -0,0 +1,180 @@
+// lib/dashboard.js — web admin dashboard: login (password or Telegram Login Widget), signed session cookie, pages
+// • Cookie "pg_dash" = base64url(JSON { uid, via, exp }) + "." + HMAC-SHA256; the bot re-checks the user's role on
+//   every request, so revoking someone in Telegram locks them out of the dashboard too
+// • Telegram login data is verified as documented: HMAC-SHA256 over the sorted "key=value" lines with
+//   SHA256(bot token) as the key, and auth_date no older than a day
+// • The page itself is static; it pulls JSON from /dashboard/data/* (same handlers as /api/*) and refreshes itself
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+export const COOKIE_NAME = 'pg_dash';
+export const SESSION_TTL_MS = 12*60*60*1000;
+const LOGIN_MAX_AGE_S = 24*60*60;
+
+const safeEqual=(a, b)=>{ const x=Buffer.from(String(a)), y=Buffer.from(String(b)); return x.length===y.length && timingSafeEqual(x, y); };
+
+export function signSession(payload, secret){
+  const body=Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+// → payload or null (bad signature / expired)
+export function readSession(cookieHeader, secret, now=Date.now()){
+  const raw=String(cookieHeader||'').split(/;\s*/).find(c=>c.startsWith(`${COOKIE_NAME}=`))?.slice(COOKIE_NAME.length+1);
+  if (!raw) return null;
+  const [body, sig]=raw.split('.');
+  if (!body || !sig || !safeEqual(sig, createHmac('sha256', secret).update(body).digest('base64url'))) return null;
+  try { const p=JSON.parse(Buffer.from(body,'base64url').toString()); return p.exp>now ? p : null; } catch { return null; }
+}
+export function sessionCookie(value, { secure, maxAgeMs=SESSION_TTL_MS }){
+  return `${COOKIE_NAME}=${value}; Path=/dashboard; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(maxAgeMs/1000)}${secure?'; Secure':''}`;
+}
+
+export function verifyTelegramLogin(query, botToken, now=Date.now()){
+  const { hash, ...fields }=query||{};
+  if (!hash || !fields.id || !fields.auth_date) return false;
+  const check=Object.keys(fields).sort().map(k=>`${k}=${fields[k]}`).join('\n');
+  const key=createHash('sha256').update(botToken).digest();
+  if (!safeEqual(createHmac('sha256', key).update(check).digest('hex'), hash)) return false;
+  return now/1000-Number(fields.auth_date) < LOGIN_MAX_AGE_S;
+}
+export function passwordMatches(given, expected){ return !!expected && safeEqual(given||'', expected); }
+
+const esc=(s)=>String(s??'').replace(/[&<>"']/g, c=>({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+const STYLE = `
+  body{font:15px/1.4 system-ui,sans-serif;margin:0;background:#f5f6f8;color:#1d2330}
+  header{display:flex;gap:12px;align-items:center;padding:12px 16px;background:#1d2330;color:#fff;flex-wrap:wrap}
+  header h1{font-size:17px;margin:0;flex:1} header form{margin:0}
+  main{padding:16px;max-width:1200px;margin:auto}
+  .card{background:#fff;border-radius:8px;padding:12px 16px;margin-bottom:16px;box-shadow:0 1px 2px #0001}
+  .kpis{display:grid;grid-template-columns:repeat(auto-fit,minmax(140px,1fr));gap:12px}
+  .kpi b{display:block;font-size:22px} .muted{color:#6b7280;font-size:13px}
+  .filters{display:flex;flex-wrap:wrap;gap:8px;align-items:end} .filters label{display:flex;flex-direction:column;font-size:12px;color:#6b7280}
+  input,select,button{font:inherit;padding:6px 8px;border:1px solid #cfd4dc;border-radius:6px;background:#fff}
+  button,.btn{background:#2563eb;color:#fff;border:0;cursor:pointer;text-decoration:none;padding:7px 12px;border-radius:6px}
+  table{width:100%;border-collapse:collapse} th,td{text-align:left;padding:6px 8px;border-bottom:1px solid #eef0f3;white-space:nowrap}
+  td.num,th.num{text-align:right} .scroll{overflow-x:auto}
+  .tag{font-size:12px;padding:1px 6px;border-radius:10px;background:#e5e7eb} .paid{background:#d1fae5} .pending,.underpaid{background:#fef3c7} .void{background:#fee2e2}
+  .grid2{display:grid;grid-template-columns:repeat(auto-fit,minmax(320px,1fr));gap:16px}
+  .bars{display:flex;align-items:flex-end;gap:4px;height:160px;padding-top:8px}
+  .bar{flex:1;display:flex;flex-direction:column;justify-content:flex-end;align-items:center;font-size:11px;color:#6b7280;height:100%}
+  .bar i{display:block;width:100%;background:#2563eb;border-radius:3px 3px 0 0;min-height:1px}
+  .split{display:flex;height:18px;border-radius:9px;overflow:hidden;background:#e5e7eb} .split i{display:block}`;
+
+export function renderLoginPage({ error='', botUsername=null, passwordEnabled=false }){
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Sales dashboard — sign in</title><style>${STYLE}</style></head><body>
+<header><h1>Sales dashboard</h1></header>
+<main><div class="card" style="max-width:380px;margin:40px auto">
+  <h2 style="margin-top:0">Sign in</h2>
+  ${error ? `<p style="color:#b91c1c">${esc(error)}</p>` : ''}
+  ${botUsername ? `<p class="muted">With your Telegram account (owner, manager or viewer):</p>
+  <script async src="https://telegram.org/js/telegram-widget.js?22" data-telegram-login="${esc(botUsername)}" data-size="large" data-auth-url="/dashboard/auth/telegram" data-request-access="write"></script>` : ''}
+  ${passwordEnabled ? `<form method="post" action="/dashboard/login" style="margin-top:16px;display:flex;gap:8px">
+    <input type="password" name="password" placeholder="Admin password" required style="flex:1"><button>Sign in</button></form>` : ''}
+  ${!botUsername && !passwordEnabled ? '<p>No sign-in method is configured (set DASHBOARD_PASSWORD).</p>' : ''}
+</div></main></body></html>`;
+}
+
+// companies / operators: [{ id, name }] the viewer may filter by
+export function renderDashboardPage({ who, companies, operators, refreshMs=15000 }){
+  const options=(list)=>list.map(c=>`<option value="${esc(c.id)}">${esc(c.name)}</option>`).join('');
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Sales dashboard</title><style>${STYLE}</style></head><body>
+<header><h1>Sales dashboard</h1><span class="muted" style="color:#cbd5e1">${esc(who)}</span>
+  <form method="post" action="/dashboard/logout"><button style="background:#374151">Sign out</button></form></header>
+<main>
+  <div class="card filters">
+    <label>Period<select id="period">
+      <option value="shift">Current shift</option><option value="prevshift">Previous shift</option>
+      <option value="week">This week</option><option value="month">This month</option><option value="">Custom</option></select></label>
+    <label>From<input id="from" type="datetime-local"></label><label>To<input id="to" type="datetime-local"></label>
+    <label>Company<select id="company">${companies.length>1?'<option value="">All</option>':''}${options(companies)}</select></label>
+    <label>Method<select id="method"><option value="">All</option><option value="cash">Cash</option><option value="qr">QR</option></select></label>
+    <label>Operator<select id="operator"><option value="">All</option>${options(operators)}</select></label>
+    <button id="apply">Apply</button><a id="csv" class="btn" href="#">Download CSV</a>
+    <span class="muted" id="updated"></span>
+  </div>
+  <div class="card kpis" id="kpis"></div>
+  <div class="grid2">
+    <div class="card"><h3 style="margin-top:0">Cash vs QR</h3><div id="split"></div></div>
+    <div class="card"><h3 style="margin-top:0">Per hour</h3><div class="bars" id="hours"></div></div>
+  </div>
+  <div class="grid2">
+    <div class="card scroll"><h3 style="margin-top:0">Per company</h3><table id="byCompany"></table></div>
+    <div class="card scroll"><h3 style="margin-top:0">Per operator</h3><table id="byOperator"></table></div>
+  </div>
+  <div class="card scroll"><h3 style="margin-top:0">Transactions <span class="muted" id="count"></span></h3><table id="sales"></table>
+    <p><button id="more" style="display:none">Load more</button></p></div>
+</main>
+<script>
+const $=(id)=>document.getElementById(id);
+const money=(n)=>'$'+Number(n||0).toFixed(2);
+const el=(tag, text, cls)=>{ const e=document.createElement(tag); if (text!==undefined) e.textContent=text; if (cls) e.className=cls; return e; };
+let offset=0;
+function query(extra={}){
+  const q=new URLSearchParams();
+  const period=$('period').value;
+  if (period) q.set('period', period);
+  else { if ($('from').value) q.set('from', $('from').value.replace('T',' ').replace(/^(\\d{4})-(\\d{2})-(\\d{2})/, '$3/$2/$1')); if ($('to').value) q.set('to', $('to').value.replace('T',' ').replace(/^(\\d{4})-(\\d{2})-(\\d{2})/, '$3/$2/$1')); }
+  for (const k of ['company','method','operator']) if ($(k).value) q.set(k, $(k).value);
+  for (const [k,v] of Object.entries(extra)) q.set(k, v);
+  return q;
+}
+async function getJson(path, q){
+  const r=await fetch('/dashboard/data/'+path+'?'+q, { headers:{ Accept:'application/json' } });
+  if (r.status===401) { location.href='/dashboard/login'; throw new Error('signed out'); }
+  if (!r.ok) throw new Error((await r.json()).error || r.statusText);
+  return r.json();
+}
+function table(id, head, rows){
+  const t=$(id); t.replaceChildren();
+  const tr=el('tr'); head.forEach(([h,num])=>tr.append(el('th', h, num?'num':''))); t.append(tr);
+  rows.forEach(cells=>{ const r=el('tr'); cells.forEach(c=>r.append(c instanceof Node ? (()=>{ const td=el('td'); td.append(c); return td; })() : el('td', c[0], c[1]?'num':''))); t.append(r); });
+}
+function status(s){
+  const wrap=el('span');
+  if (s.voided) wrap.append(el('span','VOID','tag void'));
+  else if (s.reversed) wrap.append(el('span','REFUND '+money(s.reversed),'tag void'));
+  if (s.method==='QR Code') wrap.append(' ', el('span', s.status || 'unknown', 'tag '+(s.status||'')));
+  else wrap.append(' ', el('span','cash','tag paid'));
+  return wrap;
+}
+async function loadSummary(){
+  const sum=await getJson('summary', query());
+  $('kpis').replaceChildren(...[['Net', money(sum.net)], ['Sales', sum.sales], ['Gross', money(sum.gross)], ['Voided/refunded', money(sum.reversed)], ['Surcharge', money(sum.surcharge)]]
+    .map(([k,v])=>{ const d=el('div','', 'kpi'); d.append(el('span',k,'muted'), el('b', String(v))); return d; }));
+  const cash=sum.byMethod.find(m=>m.key==='Cash')?.net||0, qr=sum.byMethod.find(m=>m.key==='QR Code')?.net||0, tot=cash+qr||1;
+  const bar=el('div','', 'split'); const a=el('i'); a.style.cssText='background:#16a34a;width:'+(cash/tot*100)+'%'; const b=el('i'); b.style.cssText='background:#2563eb;width:'+(qr/tot*100)+'%'; bar.append(a,b);
+  $('split').replaceChildren(bar, el('p', 'Cash '+money(cash)+' ('+Math.round(cash/tot*100)+'%) · QR '+money(qr)+' ('+Math.round(qr/tot*100)+'%)', 'muted'));
+  const max=Math.max(1, ...sum.byHour.map(h=>h.net));
+  $('hours').replaceChildren(...sum.byHour.map(h=>{ const c=el('div','', 'bar'); const i=el('i'); i.style.height=(h.net/max*100)+'%'; i.title=money(h.net)+' · '+h.count+' sale(s)'; c.append(i, el('span', h.key)); return c; }));
+  const groupRows=(list)=>list.map(g=>[[g.key], [g.count,1], [money(g.cash),1], [money(g.qr),1], [money(g.net),1]]);
+  const head=[['Name'],['Sales',1],['Cash',1],['QR',1],['Net',1]];
+  table('byCompany', head, groupRows(sum.byCompany.map(g=>({ ...g, key:COMPANIES[g.key]||g.key }))));
+  table('byOperator', head, groupRows(sum.byOperator));
+}
+async function loadSales(append){
+  if (!append) offset=0;
+  const page=await getJson('sales', query({ limit:100, offset, order:'desc' }));
+  const rows=page.data.map(s=>[[new Date(s.timestamp).toLocaleString('en-SG',{ timeZone:'Asia/Singapore', hour12:false })], [s.txnId||'-'], [s.operator||'-'], [COMPANIES[s.company]||s.company||'-'],
+    [s.recipient||'-'], [s.table||'-'], [s.method||'-'], [money(s.net),1], [money(s.amount),1], status(s)]);
+  const head=[['Time'],['TxnID'],['Operator'],['Company'],['Recipient'],['Table'],['Method'],['Net',1],['Charged',1],['Status']];
+  if (append){ const t=$('sales'); rows.forEach(cells=>{ const r=el('tr'); cells.forEach(c=>{ if (c instanceof Node){ const td=el('td'); td.append(c); r.append(td); } else r.append(el('td', c[0], c[1]?'num':'')); }); t.append(r); }); }
+  else table('sales', head, rows);
+  offset=page.offset+page.data.length;
+  $('count').textContent='('+page.total+')';
+  $('more').style.display=page.nextOffset===null ? 'none' : '';
+}
+async function refresh(){
+  try { await Promise.all([loadSummary(), loadSales(false)]); $('updated').textContent='Updated '+new Date().toLocaleTimeString('en-SG',{ timeZone:'Asia/Singapore', hour12:false }); }
+  catch(e){ $('updated').textContent='⚠️ '+e.message; }
+  $('csv').href='/dashboard/data/sales?'+query({ format:'csv' });
+}
+const COMPANIES=${JSON.stringify(Object.fromEntries(companies.map(c=>[c.id, c.name]))).replace(/</g,'\\u003c')};
+$('apply').onclick=refresh;
+$('period').onchange=()=>{ if ($('period').value) refresh(); };
+$('more').onclick=()=>loadSales(true).catch(e=>$('updated').textContent='⚠️ '+e.message);
+refresh();
+setInterval(()=>{ if ($('period').value && !document.hidden) refresh(); }, ${Number(refreshMs)});
+</script></body></html>`;
+}
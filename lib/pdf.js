@@ -0,0 +1,41 @@
+// lib/pdf.js — minimal PDF 1.4 writer for generated documents (QR sheets, receipts); no dependencies
+// • A page is a raw content stream; fonts are the standard Type1 Helvetica (/F1), Helvetica-Bold (/F2) and
+//   Courier (/F3), so text is ASCII only (anything else prints as ?)
+// • Text widths are exact for Courier (0.6 em) and estimated for Helvetica, which is enough to centre labels
+
+export const A4 = { width:595.28, height:841.89 };
+const EM = { F1:0.52, F2:0.56, F3:0.6 };
+
+export const num=(n)=>n.toFixed(2);
+export function pdfText(s){ return String(s ?? '').replace(/[^\x20-\x7e]/g,'?').replace(/[\\()]/g,'\\$&'); }
+export function textWidth(str, size, font='F1'){ return String(str ?? '').length*size*EM[font]; }
+// Text with its baseline at y; align 'left' | 'center' | 'right' around x
+export function text(x, y, size, str, { font='F1', align='left' }={}){
+  const w=textWidth(str, size, font), left = align==='center' ? x-w/2 : align==='right' ? x-w : x;
+  return `BT /${font} ${size} Tf ${num(left)} ${num(y)} Td (${pdfText(str)}) Tj ET\n`;
+}
+
+// content streams (one per page) → PDF Buffer
+export function buildPdf(pages, { width, height }=A4){
+  if (!pages.length) throw new Error('PDF has no pages');
+  // 1 catalog, 2 page tree, 3–5 fonts, then content + page object per page
+  const objs=[null, null,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'];
+  const kids=[];
+  for (const stream of pages){
+    objs.push(`<< /Length ${stream.length} >>\nstream\n${stream}endstream`);
+    objs.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${objs.length} 0 R >>`);
+    kids.push(`${objs.length} 0 R`);
+  }
+  objs[0]='<< /Type /Catalog /Pages 2 0 R >>';
+  objs[1]=`<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf='%PDF-1.4\n'; const offsets=[];
+  objs.forEach((body,i)=>{ offsets.push(pdf.length); pdf+=`${i+1} 0 obj\n${body}\nendobj\n`; });
+  const xref=pdf.length;
+  pdf+=`xref\n0 ${objs.length+1}\n0000000000 65535 f \n`+offsets.map(o=>`${String(o).padStart(10,'0')} 00000 n \n`).join('');
+  pdf+=`trailer\n<< /Size ${objs.length+1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
@@ -0,0 +1,58 @@
+// lib/pricing.js — admin-defined pricing: surcharge per company × payment method, min/max, preset buttons
+// rules = { default:{ min, max, presets:[...], surcharge:{ [method]:{ pct, flat } } },
+//           [companyId]:{ ...any subset of the default fields (override) } }
+// Every edit bumps DB.pricing.version; sales store the version they were priced with.
+
+export const METHODS = ['QR Code','Cash'];
+export const DEFAULT_RULES = {
+  default:{
+    min:100, max:null,
+    presets:[100,200,300,500,1000,2000],
+    surcharge:{ 'QR Code':{ pct:3, flat:0 }, 'Cash':{ pct:0, flat:0 } }
+  }
+};
+
+export function round2(n){ return Math.round(Number(n)*100)/100; }
+
+// Effective rule for a company: company override on top of the default
+export function resolveRule(rules, companyId){
+  const d=rules?.default || DEFAULT_RULES.default;
+  const o=(companyId && rules?.[companyId]) || {};
+  return {
+    min: o.min ?? d.min,
+    max: o.max!==undefined ? o.max : d.max,
+    presets: o.presets ?? d.presets,
+    surcharge:{ ...d.surcharge, ...(o.surcharge||{}) }
+  };
+}
+
+export function quote(rule, method, base){
+  const sc=rule.surcharge[method] || { pct:0, flat:0 };
+  const surcharge=round2(base*(sc.pct||0)/100 + (sc.flat||0));
+  return { base:round2(base), surcharge, total:round2(base+surcharge) };
+}
+
+// Fit an entered amount into [min, max]; `note` explains any adjustment
+export function clampAmount(rule, value){
+  if (!Number.isFinite(value) || value<rule.min) return { value:rule.min, note:`Amount set to minimum: ${rule.min}` };
+  if (rule.max!==null && rule.max!==undefined && value>rule.max) return { value:rule.max, note:`Amount capped at maximum: ${rule.max}` };
+  return { value, note:null };
+}
+
+export function describeSurcharge(sc){
+  const pct=Number(sc?.pct||0), flat=Number(sc?.flat||0);
+  const parts=[]; if (pct) parts.push(`${pct}%`); if (flat) parts.push(`SGD ${flat.toFixed(2)}`);
+  return parts.length ? `+${parts.join(' + ')}` : 'no surcharge';
+}
+
+// Throws with a user-facing message when an edited rule set is inconsistent
+export function validateRule(rule){
+  if (!(rule.min>0)) throw new Error('Minimum must be greater than 0.');
+  if (rule.max!==null && rule.max!==undefined && rule.max<rule.min) throw new Error('Maximum must not be below the minimum.');
+  if (!rule.presets.length) throw new Error('At least one preset amount is needed.');
+  const bad=rule.presets.find(p=>p<rule.min || (rule.max!==null && rule.max!==undefined && p>rule.max));
+  if (bad!==undefined) throw new Error(`Preset ${bad} is outside the min/max range.`);
+  for (const [m,sc] of Object.entries(rule.surcharge)){
+    if (sc.pct<0 || sc.flat<0) throw new Error(`Surcharge for ${m} cannot be negative.`);
+  }
+}
@@ -0,0 +1,45 @@
+// lib/qrsheet.js — printable A4 PDF sheet of labelled QR codes (/staticqr sheet)
+// • QR modules are drawn as filled rectangles (vector, sharp at any print size) through lib/pdf.js
+// • 2 × 3 cards per page with dashed cut lines; as many pages as the cards need
+
+import QRCode from 'qrcode';
+import { A4, num, text, buildPdf } from './pdf.js';
+
+const MARGIN = 36, COLS = 2, ROWS = 3;
+const QUIET = 2; // modules of white border around each code
+
+// Dark modules as rectangles, one per horizontal run; (x, y) is the bottom-left of the size × size box
+function qrPath(payload, x, y, size){
+  const { modules }=QRCode.create(payload, { errorCorrectionLevel:'M' });
+  const n=modules.size, m=size/(n+2*QUIET);
+  let out='0 g\n';
+  for (let r=0;r<n;r++){
+    for (let c=0;c<n;c++){
+      if (!modules.get(r,c)) continue;
+      let run=1; while (c+run<n && modules.get(r,c+run)) run++;
+      out+=`${num(x+(c+QUIET)*m)} ${num(y+size-(r+QUIET+1)*m)} ${num(run*m)} ${num(m)} re\n`;
+      c+=run-1;
+    }
+  }
+  return out+'f\n';
+}
+
+// card = { payload, title, lines:[…] (up to 3) }
+function drawCard(card, i){
+  const w=(A4.width-2*MARGIN)/COLS, h=(A4.height-2*MARGIN)/ROWS;
+  const x=MARGIN+(i%COLS)*w, top=A4.height-MARGIN-Math.floor(i/COLS)*h, cx=x+w/2, size=Math.min(w,h)-90;
+  let out=`q 0.6 G 0.5 w [4 3] 0 d ${num(x)} ${num(top-h)} ${num(w)} ${num(h)} re S Q\n`;
+  out+=qrPath(card.payload, cx-size/2, top-12-size, size);
+  let y=top-12-size-18;
+  out+=text(cx, y, 14, card.title, { font:'F2', align:'center' });
+  for (const line of (card.lines||[]).slice(0,3)){ y-=13; out+=text(cx, y, 10, line, { align:'center' }); }
+  return out;
+}
+
+// cards → PDF Buffer
+export function renderQrSheetPdf(cards){
+  if (!cards.length) throw new Error('No QR codes to print');
+  const per=COLS*ROWS, pages=[];
+  for (let i=0;i<cards.length;i+=per) pages.push(cards.slice(i,i+per).map(drawCard).join(''));
+  return buildPdf(pages, A4);
+}
@@ -0,0 +1,42 @@
+// lib/rbac.js — roles and permissions
+// • Roles live on DB.users[uid] as { role, status:'pending'|'active'|'revoked' }; ADMIN_IDS are always owners
+// • owner: everything, every company | manager: own company (reports, approvals, refunds, users)
+//   operator: records sales | viewer: reads own company's reports
+// • A user can act only when status is 'active' (new sign-ups wait for approval; 'revoked', 'deactivated'
+//   and 'merged' accounts are locked out)
+
+export const ROLES = ['owner','manager','operator','viewer'];
+
+// permission → roles that hold it
+export const PERMISSIONS = {
+  sale:      ['owner','manager','operator'], // /sale, /order, /history, /void, shifts
+  report:    ['owner','manager','viewer'],   // /report (company-scoped below owner)
+  approve:   ['owner','manager'],            // void approvals
+  refund:    ['owner','manager'],
+  users:     ['owner','manager'],            // approve sign-ups, grant/revoke roles, /roles
+  reconcile: ['owner'],                      // /bankimport, /unpaid
+  configure: ['owner'],                      // companies, pricing, schedules, roster, floor, commissions, payouts
+  profile:   ['owner','manager','operator','viewer'] // /profile: any active user
+};
+
+// Roles a granter may hand out
+export function grantableRoles(role){
+  if (role==='owner') return ROLES;
+  if (role==='manager') return ['operator','viewer'];
+  return [];
+}
+
+// Effective role ('owner' for bootstrap ids even before they register), or null when not active
+export function effectiveRole(user, uid, ownerIds=[]){
+  if (ownerIds.includes(String(uid))) return 'owner';
+  if (!user || user.status!=='active') return null;
+  return ROLES.includes(user.role) ? user.role : null;
+}
+
+export function hasPermission(role, perm){ return !!role && (PERMISSIONS[perm]||[]).includes(role); }
+
+// Owners act on every company; everyone else only on their own
+export function inCompanyScope(role, user, companyId){
+  if (role==='owner') return true;
+  return !!(user?.company && companyId && String(user.company)===String(companyId));
+}
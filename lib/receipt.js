@@ -0,0 +1,92 @@
+// lib/receipt.js — customer receipts: PDF (sent in chat), HTML (public link) and the signed link token
+// • receipt = { brand, company, txnId, date, operator, recipient, table, set, lines:[{recipient,set,amountBase}],
+//   payment, base, surcharge, total, note } — built by the bot from a sale; both renderers use receiptRows()
+// • Link token "<saleId>.<expiry base36>.<signature>" (HMAC-SHA256 cut to 22 chars): short enough for a QR, and it
+//   stops working at its expiry without anything stored server-side
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { num, text, textWidth, buildPdf } from './pdf.js';
+
+const money=(n)=>`SGD ${Number(n||0).toFixed(2)}`;
+const esc=(s)=>String(s??'').replace(/[&<>"']/g, c=>({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+
+// → [{ kind:'brand'|'sub'|'rule'|'row'|'total'|'note'|'footer', left, right? }]
+export function receiptRows(r){
+  const rows=[{ kind:'brand', left:r.brand }];
+  if (r.company && r.company!==r.brand) rows.push({ kind:'sub', left:r.company });
+  rows.push({ kind:'rule' },
+    { kind:'row', left:'Receipt', right:r.txnId },
+    { kind:'row', left:'Date', right:r.date },
+    { kind:'row', left:'Served by', right:r.operator });
+  if (r.table) rows.push({ kind:'row', left:'Table', right:r.table });
+  rows.push({ kind:'rule' });
+  if (r.lines?.length) rows.push(...r.lines.map(l=>({ kind:'row', left:`${l.recipient}${l.set?` (${l.set})`:''}`, right:money(l.amountBase) })));
+  else rows.push({ kind:'row', left:`${r.recipient || 'Sale'}${r.set?` (${r.set})`:''}`, right:money(r.base) });
+  rows.push({ kind:'rule' },
+    { kind:'row', left:'Base amount', right:money(r.base) },
+    { kind:'row', left:'Surcharge', right:money(r.surcharge) },
+    { kind:'total', left:'Total', right:money(r.total) },
+    { kind:'row', left:'Paid by', right:r.payment==='QR Code' ? 'PayNow' : r.payment });
+  if (r.note) rows.push({ kind:'note', left:r.note });
+  rows.push({ kind:'footer', left:'Thank you!' });
+  return rows;
+}
+
+// 80 mm roll-paper page, as tall as the receipt needs
+const WIDTH = 226.77, PAD = 14;
+const ROW_H = { brand:24, sub:13, rule:10, row:13, total:18, note:16, footer:20 };
+export function renderReceiptPdf(r){
+  const rows=receiptRows(r);
+  const height=2*PAD+6+rows.reduce((h,row)=>h+ROW_H[row.kind], 0);
+  let y=height-PAD-6, out=`0.15 0.39 0.92 rg 0 ${num(height-6)} ${num(WIDTH)} 6 re f 0 g\n`; // brand bar
+  for (const row of rows){
+    y-=ROW_H[row.kind];
+    if (row.kind==='brand') out+=text(WIDTH/2, y, 14, row.left, { font:'F2', align:'center' });
+    else if (row.kind==='rule') out+=`q 0.6 G 0.5 w [2 2] 0 d ${PAD} ${num(y+4)} m ${num(WIDTH-PAD)} ${num(y+4)} l S Q\n`;
+    else if (row.kind==='row' || row.kind==='total'){
+      const size=row.kind==='total' ? 11 : 9;
+      // leave room for the right-hand value; long names are cut
+      const room=Math.floor((WIDTH-2*PAD-textWidth(row.right, size, 'F3')-6)/textWidth('x', size, 'F3'));
+      const left=String(row.left).length>room ? `${String(row.left).slice(0, Math.max(room-1, 1))}.` : row.left;
+      out+=text(PAD, y, size, left, { font:'F3' })+text(WIDTH-PAD, y, size, row.right, { font:'F3', align:'right' });
+    } else out+=text(WIDTH/2, y, row.kind==='note' ? 11 : 9, row.left, { font:row.kind==='note' ? 'F2' : 'F1', align:'center' });
+  }
+  return buildPdf([out], { width:WIDTH, height });
+}
+
+export function renderReceiptHtml(r, { pdfUrl=null, expiresAt=null }={}){
+  const body=receiptRows(r).map(row=>{
+    if (row.kind==='brand') return `<h1>${esc(row.left)}</h1>`;
+    if (row.kind==='rule') return '<hr>';
+    if (row.kind==='row' || row.kind==='total') return `<div class="row${row.kind==='total'?' total':''}"><span>${esc(row.left)}</span><span>${esc(row.right)}</span></div>`;
+    return `<p class="${row.kind}">${esc(row.left)}</p>`;
+  }).join('\n');
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<meta name="robots" content="noindex"><title>Receipt ${esc(r.txnId)}</title><style>
+  body{font:15px/1.4 system-ui,sans-serif;margin:0;background:#f5f6f8;color:#1d2330}
+  .receipt{max-width:380px;margin:24px auto;background:#fff;border-top:6px solid #2563eb;border-radius:8px;padding:16px 20px;box-shadow:0 1px 3px #0002}
+  h1{font-size:20px;text-align:center;margin:4px 0} p{text-align:center;margin:4px 0} .sub,.footer{color:#6b7280} .note{font-weight:700;color:#b91c1c}
+  hr{border:0;border-top:1px dashed #cfd4dc;margin:10px 0} .row{display:flex;justify-content:space-between;gap:12px;font-family:ui-monospace,monospace;font-size:14px}
+  .total{font-size:17px;font-weight:700;margin:6px 0} .actions{text-align:center;margin:16px 0 4px} .actions a{background:#2563eb;color:#fff;padding:8px 14px;border-radius:6px;text-decoration:none}
+  .muted{color:#6b7280;font-size:12px;text-align:center}
+</style></head><body><div class="receipt">
+${body}
+${pdfUrl ? `<div class="actions"><a href="${esc(pdfUrl)}">Download PDF</a></div>` : ''}
+${expiresAt ? `<p class="muted">This link works until ${esc(expiresAt)}. Save the PDF to keep your receipt.</p>` : ''}
+</div></body></html>`;
+}
+
+const sign=(body, secret)=>createHmac('sha256', secret).update(body).digest('base64url').slice(0,22);
+export function receiptToken(saleId, secret, ttlMs, now=Date.now()){
+  const body=`${saleId}.${(now+ttlMs).toString(36)}`;
+  return `${body}.${sign(body, secret)}`;
+}
+// → { saleId, expiresAt, expired } for a genuine token (expired or not), null otherwise
+export function readReceiptToken(token, secret, now=Date.now()){
+  const m=String(token||'').match(/^(\d+)\.([0-9a-z]+)\.([\w-]{22})$/);
+  if (!m) return null;
+  const want=Buffer.from(sign(`${m[1]}.${m[2]}`, secret)), got=Buffer.from(m[3]);
+  if (!timingSafeEqual(want, got)) return null;
+  const expiresAt=parseInt(m[2], 36);
+  return { saleId:Number(m[1]), expiresAt, expired:expiresAt<=now };
+}
@@ -0,0 +1,138 @@
+// lib/reconcile.js — match incoming PayNow bank credits against issued QR sales
+// • A "credit" is { amount, reference, paidAt (ms|null), bankRef, payer, source }
+// • Sales are matched by the bill reference from buildReference() (normalized) and then by charged amount
+// • Sale status: 'pending' (QR issued) → 'paid' | 'underpaid'; credits that match nothing are kept as 'unmatched'
+// • A credit whose sale was already voided or refunded is kept as 'void' and leaves the sale alone (admins refund it)
+// • Static QRs (/staticqr) have one fixed reference for every payment, so their credits never match an existing
+//   sale; each one becomes a new sale instead (see findStaticQrForCredit)
+
+import { parseSgDateTime, parseSaleTime } from './time.js';
+
+export const SALE_STATUS = { PENDING:'pending', PAID:'paid', UNDERPAID:'underpaid' };
+export const CREDIT_STATUS = { MATCHED:'matched', UNMATCHED:'unmatched', VOID:'void' };
+export const saleClosed=(s)=>!!(s.voided || s.reversedBase);
+
+// Banks upper-case, strip spaces/dashes and truncate the bill reference, so compare alnum only
+export function normalizeRef(ref){ return String(ref||'').toUpperCase().replace(/[^A-Z0-9]/g,''); }
+export function toCents(n){ return Math.round(Number(n)*100); }
+
+// ────────────────────────────────────────────────────────────────────────────
+// Parsing (webhook JSON + CSV statements)
+// ────────────────────────────────────────────────────────────────────────────
+function pick(obj, keys){ for (const k of keys){ if (obj[k]!==undefined && obj[k]!==null && obj[k]!=='') return obj[k]; } return undefined; }
+function parseAmount(v){
+  if (v===undefined || v===null) return NaN;
+  const n=Number(String(v).replace(/[^\d.-]/g,''));
+  return Number.isFinite(n) ? n : NaN;
+}
+// Accepts ISO strings, epoch ms, and SG-style "DD/MM/YYYY[ HH:mm[:ss]]" / "DD-MM-YYYY" / "DD Mon YYYY"
+export function parseBankDate(v){
+  if (v===undefined || v===null || v==='') return null;
+  if (typeof v==='number') return v;
+  const str=String(v).trim();
+  // Bank statements are in Singapore time (UTC+8)
+  const sg=parseSgDateTime(str); if (sg!==null) return sg;
+  const ts=Date.parse(str);
+  return isNaN(ts) ? null : ts;
+}
+
+// Webhook body → credit. Field names differ per bank/aggregator, so accept the common aliases.
+export function parseBankNotification(body={}){
+  const amount=parseAmount(pick(body,['amount','creditAmount','credit_amount','txnAmount','value']));
+  const reference=String(pick(body,['reference','billReference','bill_reference','remarks','description','narrative'])||'').trim();
+  const paidAt=parseBankDate(pick(body,['paidAt','paid_at','valueDate','value_date','timestamp','date']));
+  const bankRef=String(pick(body,['bankRef','bank_ref','transactionId','transaction_id','id'])||'').trim() || null;
+  const payer=String(pick(body,['payer','payerName','payer_name','from'])||'').trim() || null;
+  if (!(amount>0)) throw new Error('Notification has no positive amount');
+  return { amount, reference, paidAt, bankRef, payer, source:'webhook' };
+}
+
+// Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF)
+export function parseCsv(text){
+  const rows=[]; let row=[], field='', i=0, quoted=false;
+  const src=String(text||'').replace(/^\uFEFF/,'');
+  while (i<src.length){
+    const c=src[i];
+    if (quoted){
+      if (c==='"'){ if (src[i+1]==='"'){ field+='"'; i+=2; continue; } quoted=false; i++; continue; }
+      field+=c; i++; continue;
+    }
+    if (c==='"'){ quoted=true; i++; continue; }
+    if (c===','){ row.push(field); field=''; i++; continue; }
+    if (c==='\r'){ i++; continue; }
+    if (c==='\n'){ row.push(field); rows.push(row); row=[]; field=''; i++; continue; }
+    field+=c; i++;
+  }
+  if (field!=='' || row.length){ row.push(field); rows.push(row); }
+  return rows.filter(r=>r.some(f=>f.trim()!==''));
+}
+
+// Statement CSV → credits. Header row is located by name; debit-only rows are skipped.
+export function parseBankCsv(text){
+  const rows=parseCsv(text);
+  const headerIdx=rows.findIndex(r=>r.some(h=>/reference|description|details|remarks/i.test(h)) && r.some(h=>/credit|deposit|amount/i.test(h)));
+  if (headerIdx<0) throw new Error('Could not find a header row with Reference and Credit/Amount columns');
+  const header=rows[headerIdx].map(h=>h.trim());
+  const col=(re)=>header.findIndex(h=>re.test(h));
+  const iDate=col(/date/i), iRef=col(/reference|description|details|remarks/i);
+  const iCredit=col(/credit|deposit/i), iAmount=iCredit>=0 ? iCredit : col(/amount/i);
+  const iBankRef=col(/transaction id|txn id|bank ref|ref no/i), iPayer=col(/payer|from|sender/i);
+
+  const credits=[];
+  for (const r of rows.slice(headerIdx+1)){
+    const amount=parseAmount(r[iAmount]);
+    if (!(amount>0)) continue;
+    credits.push({
+      amount,
+      reference:(r[iRef]||'').trim(),
+      paidAt: iDate>=0 ? parseBankDate(r[iDate]) : null,
+      bankRef: iBankRef>=0 ? ((r[iBankRef]||'').trim() || null) : null,
+      payer: iPayer>=0 ? ((r[iPayer]||'').trim() || null) : null,
+      source:'csv'
+    });
+  }
+  return credits;
+}
+
+// Stable key so the same credit arriving twice (webhook retry, CSV re-import) is ignored. Without a bank reference
+// or a payment time, two identical top-ups cannot be told from a retry, so such credits get no key (never deduped).
+export function creditKey(c){
+  if (c.bankRef) return `bank:${c.bankRef}`;
+  if (c.paidAt===undefined || c.paidAt===null) return null;
+  return `hash:${c.paidAt}|${toCents(c.amount)}|${normalizeRef(c.reference)}`;
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// Matching
+// ────────────────────────────────────────────────────────────────────────────
+function refMatches(saleRef, creditRef){
+  const a=normalizeRef(saleRef), b=normalizeRef(creditRef);
+  if (!a || !b) return false;
+  if (a===b || b.includes(a)) return true;
+  return b.length>=8 && a.startsWith(b); // bank truncated the reference
+}
+
+// Returns the best sale for a credit, or null. Open unsettled sales win (voided/refunded last), then exact amount,
+// then nearest in time.
+export function findSaleForCredit(sales, credit){
+  const cands=sales.filter(s=>s.payment==='QR Code' && !s.staticQr && s.reference && refMatches(s.reference, credit.reference));
+  if (!cands.length) return null;
+  const cents=toCents(credit.amount);
+  const rank=(s)=>[
+    saleClosed(s) ? 2 : s.status===SALE_STATUS.PAID ? 1 : 0,
+    toCents(s.amount)===cents ? 0 : 1,
+    credit.paidAt ? Math.abs(credit.paidAt-(parseSaleTime(s.timestamp)||0)) : -(parseSaleTime(s.timestamp)||0)
+  ];
+  return cands.sort((x,y)=>{ const a=rank(x), b=rank(y); return a[0]-b[0] || a[1]-b[1] || a[2]-b[2]; })[0];
+}
+
+// Static QR ({ reference, active }) a credit was paid against, or null. Active ones first, then the most specific reference.
+export function findStaticQrForCredit(staticQrs, credit){
+  const cands=Object.values(staticQrs||{}).filter(q=>refMatches(q.reference, credit.reference));
+  return cands.sort((x,y)=>(y.active-x.active) || (normalizeRef(y.reference).length-normalizeRef(x.reference).length))[0] || null;
+}
+
+// Status a sale should take once `paidTotal` has been received against it
+export function settlementStatus(sale, paidTotal){
+  return toCents(paidTotal)>=toCents(sale.amount) ? SALE_STATUS.PAID : SALE_STATUS.UNDERPAID;
+}
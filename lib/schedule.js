@@ -0,0 +1,44 @@
+// lib/schedule.js — when scheduled admin reports are due (Singapore time)
+// schedule = { id, kind:'shift'|'daily'|'weekly', time:'HH:mm', weekday?:0-6 (weekly, 0=Sunday), enabled, lastRunKey }
+// • A schedule fires for its latest occurrence ≤ now whose key differs from lastRunKey, so a restart
+//   catches up at most one missed report and never repeats one that was already sent
+
+import { sgParts, sgTime, addDays, shiftStart } from './time.js';
+
+export const SCHEDULE_KINDS = ['shift','daily','weekly'];
+export const WEEKDAYS = ['sun','mon','tue','wed','thu','fri','sat'];
+
+export function parseClock(str){
+  const m=String(str||'').match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || +m[1]>23 || +m[2]>59) return null;
+  return `${m[1].padStart(2,'0')}:${m[2]}`;
+}
+export function parseWeekday(str){
+  const i=WEEKDAYS.indexOf(String(str||'').slice(0,3).toLowerCase());
+  return i<0 ? null : i;
+}
+
+// Epoch ms of the latest occurrence at or before `now`
+export function latestOccurrence(sched, now=Date.now()){
+  const [hh, mi]=sched.time.split(':').map(Number);
+  const p=sgParts(now);
+  let at=sgTime(p.y, p.m, p.d, hh, mi);
+  if (at>now) at=addDays(at,-1);
+  if (sched.kind==='weekly') while (sgParts(at).dow!==sched.weekday) at=addDays(at,-1);
+  return at;
+}
+export function occurrenceKey(sched, at){ return `${sched.kind}:${new Date(at).toISOString()}`; }
+
+// Occurrence to run now, or null when the latest one was already sent
+export function dueOccurrence(sched, now=Date.now()){
+  if (!sched.enabled) return null;
+  const at=latestOccurrence(sched, now);
+  return occurrenceKey(sched, at)===sched.lastRunKey ? null : at;
+}
+
+// Window a report covers, ending at its occurrence. 'shift' covers the shift that ended (or is
+// running) at that time; daily/weekly are the preceding 24h / 7 days.
+export function scheduleWindow(kind, at){
+  if (kind==='shift') return { from:shiftStart(at-1), to:at };
+  return { from:addDays(at, kind==='weekly' ? -7 : -1), to:at };
+}
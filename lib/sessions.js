@@ -0,0 +1,74 @@
+// lib/sessions.js — per-user wizard sessions (/sale, /order, /report, sign-up, /bankimport)
+// • Sessions are plain JSON objects keyed by Telegram user id, with an `expiresAt` deadline (epoch ms);
+//   expiry is decided from the stored deadline, never from in-process timers
+// • Drivers: 'file' (one JSON file per user under dir, atomic writes; survives restarts) | 'memory' (lost on restart)
+// • take() removes a session and returns it only to the caller that removed it, so when the sweep and an update
+//   race for the same expired session, exactly one of them cleans it up
+// • One bot per data dir, enforced by the store's lock (lib/storage.js): the data, sale index and TxnID counters live
+//   in that process, so a second instance waits for the lock instead of sharing the sessions dir
+
+import fs from 'fs/promises';
+import path from 'path';
+
+function memoryDriver(){
+  const map=new Map();
+  const copy=(v)=>(v ? JSON.parse(JSON.stringify(v)) : null);
+  return {
+    name:'memory',
+    async get(uid){ return copy(map.get(String(uid))); },
+    async set(uid, s){ map.set(String(uid), copy(s)); },
+    async delete(uid){ map.delete(String(uid)); },
+    async take(uid){ const s=map.get(String(uid)); map.delete(String(uid)); return copy(s); },
+    async list(){ return [...map.entries()].map(([uid,s])=>({ uid, session:copy(s) })); }
+  };
+}
+
+function fileDriver(dir){
+  let ready=null;
+  const init=()=>(ready ||= fs.mkdir(dir, { recursive:true }));
+  const file=(uid)=>path.join(dir, `${String(uid).replace(/[^\w-]/g,'_')}.json`);
+  const read=async (p)=>{
+    try { return JSON.parse(await fs.readFile(p,'utf8')); }
+    catch(e){ if (e.code==='ENOENT') return null; console.warn(`sessions: unreadable ${p}: ${e.message}`); return null; }
+  };
+  return {
+    name:'file', dir,
+    async get(uid){ await init(); return read(file(uid)); },
+    // tmp + rename so a reader never sees half a file, even after a crash mid-write
+    async set(uid, s){
+      await init();
+      const p=file(uid), tmp=`${p}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(s)); await fs.rename(tmp, p);
+    },
+    async delete(uid){ await fs.rm(file(uid), { force:true }); },
+    // rename is atomic: only one caller wins the claim
+    async take(uid){
+      const p=file(uid), claim=`${p}.${process.pid}.${Date.now()}.claim`;
+      try { await fs.rename(p, claim); } catch(e){ if (e.code==='ENOENT') return null; throw e; }
+      const s=await read(claim); await fs.rm(claim, { force:true });
+      return s;
+    },
+    async list(){
+      await init();
+      const out=[];
+      for (const f of await fs.readdir(dir)){
+        if (!f.endsWith('.json')) continue;
+        const session=await read(path.join(dir,f));
+        if (session) out.push({ uid:f.slice(0,-5), session });
+      }
+      return out;
+    }
+  };
+}
+
+export function openSessions({ driver='file', dir='./data/sessions' }={}){
+  const drv = driver==='memory' ? memoryDriver() : fileDriver(path.resolve(dir));
+  return {
+    driver:drv.name,
+    get:(uid)=>drv.get(uid), set:(uid,s)=>drv.set(uid,s), delete:(uid)=>drv.delete(uid), take:(uid)=>drv.take(uid),
+    // Sessions whose deadline has passed → [{ uid, session }]
+    async expired(now=Date.now()){ return (await drv.list()).filter(({ session })=>session.expiresAt && session.expiresAt<=now); }
+  };
+}
+
+export function isExpired(s, now=Date.now()){ return !!(s?.expiresAt && s.expiresAt<=now); }
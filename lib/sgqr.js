@@ -0,0 +1,161 @@
+// lib/sgqr.js — SGQR / EMVCo merchant-presented QR: PayNow encoder, generic decoder and validator
+// • TLV = 2-digit id + 2-digit length + value; the length counts UTF-8 bytes (what the CRC and scanners see), and
+//   values longer than 99 bytes can't be encoded and throw
+// • CRC (tag 63) is CRC-16/CCITT-FALSE over the UTF-8 bytes of the payload up to and including "6304"
+// • PayNow merchant account info (tag 26, GUI SG.PAYNOW): 01 proxy type (0 mobile, 2 UEN; other types pass
+//   through as given), 02 proxy value, 03 editable amount (0/1), 04 expiry YYYYMMDD
+// • Point of initiation (tag 01): 11 = static (reusable, usually without amount), 12 = dynamic (one payment)
+
+import { ymd } from './time.js';
+
+export const POI = { STATIC:'11', DYNAMIC:'12' };
+export const PAYNOW_GUI = 'SG.PAYNOW';
+export const PROXY_TYPES = { mobile:'0', uen:'2' };
+// Templates whose value is itself a TLV list: merchant account info 26–51, additional data 62, language 64
+const NESTED = (id)=>(+id>=26 && +id<=51) || id==='62' || id==='64';
+
+export function tlv(id, value){
+  if (!/^\d{2}$/.test(id)) throw new Error(`Invalid TLV id ${id}`);
+  const v=String(value), len=Buffer.byteLength(v,'utf8');
+  if (!len) throw new Error(`Tag ${id} is empty`);
+  if (len>99) throw new Error(`Tag ${id} is ${len} bytes; the maximum is 99`);
+  return id+String(len).padStart(2,'0')+v;
+}
+// Cut to at most max UTF-8 bytes without splitting a character
+function clip(str, max){
+  let out='', n=0;
+  for (const ch of String(str)){ n+=Buffer.byteLength(ch,'utf8'); if (n>max) break; out+=ch; }
+  return out;
+}
+export function crc16ccitt(str){
+  let crc=0xffff;
+  for (const byte of Buffer.from(String(str), 'utf8')){
+    crc^=byte<<8;
+    for (let b=0;b<8;b++){ crc=(crc&0x8000)?((crc<<1)^0x1021):(crc<<1); crc&=0xffff; }
+  }
+  return crc.toString(16).toUpperCase().padStart(4,'0');
+}
+export function withCrc(body){ return body+'6304'+crc16ccitt(body+'6304'); }
+
+// Any common way of writing a Singapore mobile (+65 9123 4567, 659123…, 0065…) → 8 digits, or null
+export function normalizeSgMobile(mobile){
+  const digits=String(mobile||'').replace(/[^\d]/g,'');
+  const local8 = digits.length===8 ? digits
+    : digits.startsWith('65') && digits.length===10 ? digits.slice(2)
+    : digits.startsWith('065') && digits.length===11 ? digits.slice(3)
+    : digits.startsWith('0065') && digits.length===12 ? digits.slice(4) : null;
+  return local8 && /^[89]\d{7}$/.test(local8) ? local8 : null;
+}
+// Date | epoch ms | ISO instant | 'YYYYMMDD' | 'YYYY-MM-DD' → 'YYYYMMDD' (SGT date)
+export function expiryDate(v){
+  if (v===undefined || v===null || v==='') return null;
+  if (typeof v==='string' && /^\d{4}-?\d{2}-?\d{2}$/.test(v)) return v.replace(/-/g,'');
+  const ms=v instanceof Date ? v.getTime() : typeof v==='string' ? Date.parse(v) : Number(v);
+  if (!Number.isFinite(ms)) throw new Error(`Invalid expiry ${v}`);
+  return ymd(ms).replace(/-/g,'');
+}
+
+// Tag 26 for PayNow. paynow = { mode:'uen'|'mobile', uen, mobile } or { proxyType, proxy } for other types.
+export function buildPayNowAccount({ mode, uen, mobile, proxyType, proxy, editable=false, expiry }){
+  let type, value;
+  if (proxyType!==undefined && proxyType!==null){
+    type=String(proxyType); value=String(proxy||'');
+    if (!/^\d$/.test(type)) throw new Error(`Invalid PayNow proxy type ${type}`);
+    if (!value) throw new Error('PayNow proxy value required');
+  } else if (mode==='mobile'){
+    type=PROXY_TYPES.mobile; value=normalizeSgMobile(mobile);
+    if (!value) throw new Error('Invalid PAYNOW_MOBILE');
+  } else {
+    type=PROXY_TYPES.uen; value=String(uen||'').trim().toUpperCase();
+    if (!value) throw new Error('PAYNOW_UEN required for UEN mode');
+    if (!/^[0-9A-Z]{9,10}$/.test(value)) throw new Error(`Invalid UEN ${value}`);
+  }
+  const parts=[tlv('00',PAYNOW_GUI), tlv('01',type), tlv('02',value), tlv('03', editable?'1':'0')];
+  const exp=expiryDate(expiry); if (exp) parts.push(tlv('04',exp));
+  return tlv('26', parts.join(''));
+}
+
+// Full PayNow payload. No amount → static QR (payer types the amount; editable is forced on).
+export function encodePayNow({ amount, reference='', merchantName, merchantCity='Singapore', editable=false, expiry,
+  pointOfInitiation, mcc='0000', currency='702', country='SG', ...paynow }){
+  const hasAmount = amount!==undefined && amount!==null && amount!=='';
+  if (hasAmount && !(Number(amount)>0)) throw new Error('Amount must be > 0');
+  if (!merchantName) throw new Error('Merchant name required');
+  const poi = pointOfInitiation || (hasAmount ? POI.DYNAMIC : POI.STATIC);
+  if (poi!==POI.STATIC && poi!==POI.DYNAMIC) throw new Error(`Invalid point of initiation ${poi}`);
+  let body = tlv('00','01') + tlv('01',poi)
+    + buildPayNowAccount({ ...paynow, editable: editable || !hasAmount, expiry })
+    + tlv('52',mcc) + tlv('53',currency);
+  if (hasAmount) body += tlv('54', Number(amount).toFixed(2));
+  body += tlv('58',country) + tlv('59', clip(merchantName,25)) + tlv('60', clip(merchantCity||'Singapore',15));
+  const ref=clip(reference||'',25);
+  if (ref) body += tlv('62', tlv('01', ref));
+  return withCrc(body);
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// Decoding / validation (any SGQR / EMVCo string, not just our own)
+// ────────────────────────────────────────────────────────────────────────────
+// "000201…" → [{ id, value, sub? }] — throws on truncated or malformed TLV; positions are UTF-8 byte offsets
+export function parseTlv(str){
+  const buf=Buffer.from(String(str),'utf8'), out=[]; let i=0;
+  while (i<buf.length){
+    const id=buf.toString('latin1',i,i+2), len=buf.toString('latin1',i+2,i+4);
+    if (!/^\d{2}$/.test(id) || !/^\d{2}$/.test(len)) throw new Error(`Malformed TLV at position ${i}`);
+    const end=i+4+Number(len);
+    if (end>buf.length) throw new Error(`Tag ${id} at position ${i} is truncated`);
+    const value=buf.toString('utf8', i+4, end);
+    if (Buffer.byteLength(value,'utf8')!==Number(len)) throw new Error(`Tag ${id} at position ${i} splits a character`);
+    out.push({ id, value });
+    i=end;
+  }
+  return out;
+}
+export function decodeSgqr(str){
+  const payload=String(str||'').trim();
+  const items=parseTlv(payload).map(t=>{
+    if (!NESTED(t.id)) return t;
+    try { return { ...t, sub:Object.fromEntries(parseTlv(t.value).map(s=>[s.id, s.value])) }; }
+    catch { return t; } // some schemes put opaque data in these ranges
+  });
+  const tags=Object.fromEntries(items.map(t=>[t.id, t.sub || t.value]));
+  const crcAt=payload.lastIndexOf('6304');
+  const crcValid = crcAt>=0 && crcAt===payload.length-8 && crc16ccitt(payload.slice(0, crcAt+4))===payload.slice(crcAt+4).toUpperCase();
+  return { payload, items, tags, crcValid };
+}
+
+// → { ok, errors:[…], qr (decoded), payNow:{ proxyType, proxy, editable, expiry, amount, reference, … } | null }
+export function validateSgqr(str, { now=Date.now() }={}){
+  const errors=[]; let qr;
+  try { qr=decodeSgqr(str); } catch(e){ return { ok:false, errors:[e.message], qr:null, payNow:null }; }
+  const { items, tags }=qr;
+  if (items[0]?.id!=='00' || items[0].value!=='01') errors.push('Payload must start with format indicator 000201');
+  if (items.at(-1)?.id!=='63') errors.push('CRC (tag 63) must be the last tag');
+  else if (!qr.crcValid) errors.push('CRC mismatch');
+  if (tags['01']!==undefined && tags['01']!==POI.STATIC && tags['01']!==POI.DYNAMIC) errors.push(`Point of initiation must be 11 or 12, got ${tags['01']}`);
+  for (const id of ['52','53','58','59','60']) if (tags[id]===undefined) errors.push(`Missing mandatory tag ${id}`);
+  if (!items.some(t=>+t.id>=2 && +t.id<=51)) errors.push('No merchant account information (tags 02–51)');
+  if (tags['54']!==undefined && !/^\d+(\.\d{1,2})?$/.test(tags['54'])) errors.push(`Invalid amount ${tags['54']}`);
+  if (tags['58']!==undefined && !/^[A-Z]{2}$/.test(tags['58'])) errors.push(`Invalid country code ${tags['58']}`);
+
+  let payNow=null;
+  const acct=items.find(t=>t.sub?.['00']?.toUpperCase()===PAYNOW_GUI);
+  if (acct){
+    const s=acct.sub;
+    payNow={
+      tag:acct.id, proxyType:s['01'] ?? null, proxy:s['02'] ?? null, editable:s['03']==='1', expiry:s['04'] ?? null,
+      amount: tags['54']!==undefined ? Number(tags['54']) : null, reference: tags['62']?.['01'] ?? null,
+      merchantName:tags['59'] ?? null, merchantCity:tags['60'] ?? null, pointOfInitiation:tags['01'] ?? null
+    };
+    if (!/^\d$/.test(payNow.proxyType||'')) errors.push('PayNow proxy type (26.01) missing or invalid');
+    if (!payNow.proxy) errors.push('PayNow proxy value (26.02) missing');
+    if (payNow.proxyType===PROXY_TYPES.mobile && !/^(\+?65)?[89]\d{7}$/.test(payNow.proxy||'')) errors.push(`Invalid PayNow mobile ${payNow.proxy}`);
+    if (s['03']!==undefined && s['03']!=='0' && s['03']!=='1') errors.push('PayNow editable flag (26.03) must be 0 or 1');
+    if (payNow.expiry!==null){
+      if (!/^\d{8}$/.test(payNow.expiry)) errors.push(`PayNow expiry (26.04) must be YYYYMMDD, got ${payNow.expiry}`);
+      else if (payNow.expiry<ymd(now).replace(/-/g,'')) errors.push(`PayNow QR expired on ${payNow.expiry}`);
+    }
+    if (payNow.amount===null && !payNow.editable) errors.push('A PayNow QR without amount must be editable');
+  }
+  return { ok:!errors.length, errors, qr, payNow };
+}
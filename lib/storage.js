@@ -0,0 +1,269 @@
+// lib/storage.js — transactional storage for the bot (users, sales, counters, payments, …)
+// • store.data is the in-memory materialized DB; never mutate it directly — go through commit()/helpers
+// • Every commit() is one batch of ops applied in memory and appended as ONE journal line (all-or-nothing)
+// • Drivers: 'journal' (snapshot.json + journal.ndjson, fsync'd, default) | 'memory' (no persistence)
+// • One process per data dir: the journal driver holds a lease in dir/.lock, because the data, sale index and
+//   TxnID counters live in that process's memory; a second bot on the same dir waits for the lease, then fails
+// • Sales get a numeric `id` and are indexed by operator, company and time
+// • First open migrates the legacy single-file sales-log.json
+//
+// Op shapes (see builders below):
+//   { op:'set',   path:['users','123'], value:{...} }
+//   { op:'unset', path:['users','123'] }
+//   { op:'push',  path:['payments'], value:{...} }
+//   { op:'merge', path:['users','123'], value:{ company:'Wave' } }
+//   { op:'patch', coll:'sales', id:42, value:{ status:'paid' } }
+//   { op:'max',   path:['counters','L|YYMMDD:261019'], value:7 }   (keeps the larger number; counters never go back)
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseSaleTime } from './time.js';
+
+export const set   = (p, value) => ({ op:'set', path:p, value });
+export const unset = (p) => ({ op:'unset', path:p });
+export const push  = (p, value) => ({ op:'push', path:p, value });
+export const merge = (p, value) => ({ op:'merge', path:p, value });
+export const patch = (coll, id, value) => ({ op:'patch', coll, id, value });
+export const max   = (p, value) => ({ op:'max', path:p, value });
+
+const COMPACT_EVERY = 500; // journal lines before a snapshot is rewritten
+const LEASE_MS = 30_000;    // a data dir lock not refreshed for this long belongs to a dead process
+const LOCK_WAIT_MS = 60_000; // how long a new process waits for the lock, e.g. while the old one shuts down on deploy
+
+export function emptyData(){
+  return { users:{}, sales:[], companies:{}, counters:{}, payments:[], reversals:[], shifts:[], schedules:{}, payouts:[], roster:{}, floor:{ tables:[], sets:[] }, apiKeys:{}, staticQrs:{}, meta:{ nextSaleId:1 } };
+}
+// Fill collections added after a snapshot was written
+function withDefaults(data){
+  const base=emptyData();
+  for (const k of Object.keys(base)) if (data[k]===undefined) data[k]=base[k];
+  if (!data.meta.nextSaleId) data.meta.nextSaleId=1;
+  return data;
+}
+const clone = (v) => (v===undefined ? v : JSON.parse(JSON.stringify(v)));
+
+// ────────────────────────────────────────────────────────────────────────────
+// Applying ops
+// ────────────────────────────────────────────────────────────────────────────
+function walk(root, p, create){
+  let node=root;
+  for (const k of p.slice(0,-1)){
+    if (node[k]===undefined || node[k]===null){ if (!create) return null; node[k]={}; }
+    node=node[k];
+  }
+  return node;
+}
+function applyOp(data, o){
+  switch (o.op){
+    case 'set':   { walk(data,o.path,true)[o.path.at(-1)]=o.value; return; }
+    case 'unset': { const parent=walk(data,o.path,false); if (parent) delete parent[o.path.at(-1)]; return; }
+    case 'push':  { const parent=walk(data,o.path,true), k=o.path.at(-1); (parent[k] ||= []).push(o.value); return; }
+    case 'merge': { const parent=walk(data,o.path,true), k=o.path.at(-1); parent[k]=Object.assign(parent[k]||{}, o.value); return; }
+    case 'patch': { const row=(data[o.coll]||[]).find(r=>r.id===o.id); if (row) Object.assign(row, o.value); return; }
+    case 'max':   { const parent=walk(data,o.path,true), k=o.path.at(-1); parent[k]=Math.max(parent[k]||0, o.value); return; }
+    default: throw new Error(`Unknown storage op: ${o.op}`);
+  }
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// Sale indexes (operator / company / time)
+// ────────────────────────────────────────────────────────────────────────────
+function saleTime(s){ return parseSaleTime(s.timestamp); }
+class SaleIndex {
+  constructor(){ this.byId=new Map(); this.byOperator=new Map(); this.byCompany=new Map(); this.byTime=[]; }
+  add(s){
+    this.byId.set(s.id, s);
+    const op=String(s.operatorId||''), co=String(s.company||'');
+    if (!this.byOperator.has(op)) this.byOperator.set(op, new Set());
+    if (!this.byCompany.has(co)) this.byCompany.set(co, new Set());
+    this.byOperator.get(op).add(s); this.byCompany.get(co).add(s);
+    this.placeTime(s);
+  }
+  // Sales are appended roughly in time order, so the binary insert is almost always a push
+  placeTime(s){
+    const t=saleTime(s); if (t===null) return;
+    const arr=this.byTime; let lo=0, hi=arr.length;
+    while (lo<hi){ const mid=(lo+hi)>>1; if (arr[mid].t<=t) lo=mid+1; else hi=mid; }
+    arr.splice(lo, 0, { t, s });
+  }
+  // Re-index a sale whose operator/company/timestamp changed
+  reindex(s){
+    for (const set of this.byOperator.values()) set.delete(s);
+    for (const set of this.byCompany.values()) set.delete(s);
+    const i=this.byTime.findIndex(e=>e.s===s); if (i>=0) this.byTime.splice(i,1);
+    this.add(s);
+  }
+  rebuild(sales){ this.byId.clear(); this.byOperator.clear(); this.byCompany.clear(); this.byTime=[]; for (const s of sales) this.add(s); }
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// Drivers
+// ────────────────────────────────────────────────────────────────────────────
+function memoryDriver(){
+  return { name:'memory', async load(){ return null; }, async append(){}, async snapshot(){}, async close(){} };
+}
+
+function alive(pid){ try { process.kill(pid, 0); return true; } catch(e){ return e.code==='EPERM'; } }
+
+function journalDriver(dir, { lockWaitMs=LOCK_WAIT_MS }={}){
+  const snapPath=path.join(dir,'snapshot.json'), journalPath=path.join(dir,'journal.ndjson'), lockPath=path.join(dir,'.lock');
+  const me={ host:os.hostname(), pid:process.pid };
+  let fh=null, lines=0, heartbeat=null;
+  const writeLease=(flag)=>fs.writeFile(lockPath, JSON.stringify({ ...me, at:Date.now() }), flag ? { flag } : undefined);
+  async function lock(){
+    const until=Date.now()+lockWaitMs;
+    for (;;){
+      try { await writeLease('wx'); break; } catch(e){ if (e.code!=='EEXIST') throw e; }
+      let holder=null; try { holder=JSON.parse(await fs.readFile(lockPath,'utf8')); } catch {}
+      const mtime=(await fs.stat(lockPath).catch(()=>null))?.mtimeMs ?? 0;
+      const stale = holder
+        ? Date.now()-holder.at>LEASE_MS || (holder.host===me.host && (holder.pid===me.pid || !alive(holder.pid)))
+        : Date.now()-mtime>LEASE_MS; // unreadable: half written, or left corrupt by a crash
+      if (stale){ await fs.rm(lockPath, { force:true }); continue; }
+      if (Date.now()>=until) throw new Error(`storage: ${dir} is in use by pid ${holder?.pid ?? '?'} on ${holder?.host ?? '?'}; run one bot per data dir`);
+      await new Promise(r=>setTimeout(r, 1000));
+    }
+    heartbeat=setInterval(()=>writeLease().catch(e=>console.error('storage: lease refresh failed:', e.message)), LEASE_MS/3);
+    heartbeat.unref();
+  }
+  return {
+    name:'journal', dir, lines:()=>lines,
+    async load(){
+      await fs.mkdir(dir, { recursive:true });
+      await lock();
+      let data=null, seq=0;
+      if (existsSync(snapPath)){ const snap=JSON.parse(await fs.readFile(snapPath,'utf8')); data=snap.data; seq=snap.seq||0; }
+      const entries=[];
+      if (existsSync(journalPath)){
+        const raw=(await fs.readFile(journalPath,'utf8')).split('\n');
+        for (let i=0;i<raw.length;i++){
+          if (!raw[i].trim()) continue;
+          try { entries.push(JSON.parse(raw[i])); }
+          catch(e){
+            // A torn final line is an interrupted commit; anything earlier is real corruption
+            if (raw.slice(i+1).some(l=>l.trim())) throw new Error(`Corrupt journal at line ${i+1}: ${e.message}`);
+            console.warn(`storage: dropping incomplete journal entry at line ${i+1}`);
+            await fs.writeFile(journalPath, raw.slice(0,i).map(l=>l+'\n').join('')); // so later appends start on a clean line
+          }
+        }
+      }
+      lines=entries.length;
+      return { data, seq, entries:entries.filter(e=>e.seq>seq) };
+    },
+    async append(entry){
+      if (!fh) fh=await fs.open(journalPath,'a');
+      await fh.write(JSON.stringify(entry)+'\n'); await fh.datasync(); lines++;
+    },
+    // Atomic replace: write tmp, fsync, rename; then the journal can be cut. data is serialized before the first
+    // await, so the file holds exactly the state at seq even if commits land while it is written; their entries
+    // (seq ≤ the snapshot's, still queued) are skipped on load.
+    async snapshot(data, seq){
+      const body=JSON.stringify({ seq, data }), tmp=`${snapPath}.tmp`;
+      const h=await fs.open(tmp,'w');
+      try { await h.write(body); await h.datasync(); } finally { await h.close(); }
+      await fs.rename(tmp, snapPath);
+      if (fh){ await fh.close(); fh=null; }
+      await fs.writeFile(journalPath,''); lines=0;
+    },
+    async close(){
+      if (fh){ await fh.close(); fh=null; }
+      clearInterval(heartbeat); await fs.rm(lockPath, { force:true });
+    }
+  };
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// Legacy sales-log.json → store
+// ────────────────────────────────────────────────────────────────────────────
+export function migrateLegacy(legacy){
+  const data=withDefaults({ ...emptyData(), ...legacy, meta:{ nextSaleId:1 } });
+  data.sales=(legacy.sales||[]).map(s=>{
+    const row={ ...s, id:data.meta.nextSaleId++ };
+    // Rows written before the surcharge split only have `amount`, which reports already treat as NET
+    if (row.amountBase===undefined && row.amount!==undefined) row.amountBase=Number(row.amount);
+    return row;
+  });
+  return data;
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// Store
+// ────────────────────────────────────────────────────────────────────────────
+export async function openStore({ driver='journal', dir='./data', legacyFile=null, lockWaitMs }={}){
+  const drv = driver==='memory' ? memoryDriver() : journalDriver(path.resolve(dir), { lockWaitMs });
+  let data=emptyData(), seq=0, migrated=false;
+
+  const loaded=await drv.load();
+  if (loaded?.data || loaded?.entries?.length){
+    data=withDefaults(loaded.data || emptyData()); seq=loaded.seq;
+    for (const e of loaded.entries){ for (const o of e.ops) applyOp(data,o); seq=e.seq; }
+  } else if (legacyFile && existsSync(legacyFile)){
+    data=migrateLegacy(JSON.parse(await fs.readFile(legacyFile,'utf8'))); migrated=true;
+  }
+
+  const index=new SaleIndex(); index.rebuild(data.sales);
+  let queue=Promise.resolve(), closed=false;
+  const enqueue=(fn)=>{ const p=queue.then(fn); queue=p.catch(e=>console.error('storage write failed:', e)); return p; };
+
+  const store={
+    data, driver:drv.name,
+
+    // Apply ops now (in memory) and persist them as one journal entry. Resolves once durable.
+    commit(ops){
+      if (closed) throw new Error('Store is closed');
+      if (!ops.length) return Promise.resolve();
+      const entry={ seq:++seq, at:new Date().toISOString(), ops:clone(ops) };
+      for (const o of entry.ops){
+        applyOp(data,o);
+        if (o.op==='push' && o.path.length===1 && o.path[0]==='sales') index.add(data.sales.at(-1));
+        if (o.op==='patch' && o.coll==='sales'){ const s=index.byId.get(o.id); if (s && ('operatorId' in o.value || 'company' in o.value || 'timestamp' in o.value)) index.reindex(s); }
+        if (o.op==='set' && o.path[0]==='sales') index.rebuild(data.sales);
+      }
+      return enqueue(async ()=>{
+        await drv.append(entry);
+        // memory already holds every commit made so far (some still queued), so snapshot at the latest seq
+        if (drv.lines && drv.lines()>=COMPACT_EVERY) await drv.snapshot(data, seq);
+      });
+    },
+
+    // Assigns the sale id and inserts it atomically (with any extra ops, e.g. a counter bump)
+    insertSale(sale, extraOps=[]){
+      const row={ ...sale, id:data.meta.nextSaleId };
+      const p=store.commit([ ...extraOps, set(['meta','nextSaleId'], row.id+1), push(['sales'], row) ]);
+      return p.then(()=>index.byId.get(row.id));
+    },
+    updateSale(id, fields){ return store.commit([ patch('sales', id, fields) ]); },
+    getSale(id){ return index.byId.get(id) || null; },
+
+    // Indexed lookup. since/until are epoch ms (inclusive/exclusive); result is oldest → newest.
+    querySales({ operatorId, company, since, until }={}){
+      let pool=null;
+      if (operatorId!==undefined && operatorId!==null) pool=index.byOperator.get(String(operatorId)) || new Set();
+      if (company!==undefined && company!==null){
+        const byCo=index.byCompany.get(String(company)) || new Set();
+        pool = pool ? new Set([...pool].filter(s=>byCo.has(s))) : byCo;
+      }
+      const arr=index.byTime; let lo=0;
+      if (since!==undefined && since!==null){ let hi=arr.length; while (lo<hi){ const mid=(lo+hi)>>1; if (arr[mid].t<since) lo=mid+1; else hi=mid; } }
+      const out=[];
+      for (let i=lo;i<arr.length;i++){
+        const { t, s }=arr[i];
+        if (until!==undefined && until!==null && t>=until) break;
+        if (!pool || pool.has(s)) out.push(s);
+      }
+      return out;
+    },
+
+    async flush(){ await queue; },
+    async compact(){ await enqueue(()=>drv.snapshot(data, seq)); },
+    async close(){ await store.flush(); if (drv.name!=='memory') await drv.snapshot(data, seq); await drv.close(); closed=true; }
+  };
+
+  if (migrated){
+    await drv.snapshot(data, seq);
+    console.log(`storage: migrated ${data.sales.length} sale(s) from ${legacyFile}`);
+  }
+  return store;
+}
@@ -0,0 +1,72 @@
+// lib/time.js — Singapore time helpers
+// • Sale times are stored as UTC instants (ISO strings); everything calendar-like (shift boundaries,
+//   TxnID resets, display) is computed explicitly in Asia/Singapore, independent of the server's TZ
+// • Singapore has been UTC+8 with no DST since 1982, so a fixed offset is exact
+
+export const TZ = 'Asia/Singapore';
+const OFFSET_MS = 8*60*60*1000;
+const DAY_MS = 24*60*60*1000;
+export const SHIFT_START_HOUR = 12; // shifts (and TxnID counters) run noon → noon
+
+// Wall-clock fields of an instant in SGT (month 1-12, dow 0=Sunday)
+export function sgParts(ms){
+  const d=new Date(ms+OFFSET_MS);
+  return { y:d.getUTCFullYear(), m:d.getUTCMonth()+1, d:d.getUTCDate(), hh:d.getUTCHours(), mi:d.getUTCMinutes(), ss:d.getUTCSeconds(), dow:d.getUTCDay() };
+}
+// SGT wall-clock → epoch ms (fields overflow like Date.UTC, e.g. d=32)
+export function sgTime(y, m, d, hh=0, mi=0, ss=0){ return Date.UTC(y, m-1, d, hh, mi, ss) - OFFSET_MS; }
+
+export function addDays(ms, n){ return ms + n*DAY_MS; }
+export function startOfDay(ms=Date.now()){ const p=sgParts(ms); return sgTime(p.y, p.m, p.d); }
+// Start of the shift containing `ms`
+export function shiftStart(ms=Date.now()){
+  const p=sgParts(ms);
+  const start=sgTime(p.y, p.m, p.d, SHIFT_START_HOUR);
+  return p.hh<SHIFT_START_HOUR ? addDays(start,-1) : start;
+}
+// 'YYYY-MM-DD' of the shift containing `ms` (its starting date)
+export function shiftDate(ms=Date.now()){ return ymd(shiftStart(ms)); }
+
+const p2=(n)=>String(n).padStart(2,'0');
+export function ymd(ms){ const p=sgParts(ms); return `${p.y}-${p2(p.m)}-${p2(p.d)}`; }
+// "DD/MM/YYYY, HH:mm" (en-SG order, 24h) in SGT; seconds optional
+export function fmtSg(ms, { seconds=false }={}){
+  if (ms===null || ms===undefined || isNaN(ms)) return '-';
+  const p=sgParts(ms);
+  return `${p2(p.d)}/${p2(p.m)}/${p.y}, ${p2(p.hh)}:${p2(p.mi)}${seconds?`:${p2(p.ss)}`:''}`;
+}
+// "YYYYMMDD-HHmm" in SGT, for file names
+export function stampSg(ms){ const p=sgParts(ms); return `${p.y}${p2(p.m)}${p2(p.d)}-${p2(p.hh)}${p2(p.mi)}`; }
+
+// Parses "D/M/YYYY[, H:mm[:ss][ am|pm]]" as SGT wall-clock → epoch ms, or null
+export function parseSgDateTime(str){
+  const m=String(str||'').trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ ,T]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?)?$/i);
+  if (!m) return null;
+  const [, dd, mm, yyyy, hh='0', mi='0', ss='0', ampm]=m;
+  let h=+hh;
+  if (ampm){ const pm=/^p/i.test(ampm); if (h===12) h=pm?12:0; else if (pm) h+=12; }
+  if (+mm<1 || +mm>12 || +dd<1 || +dd>31 || h>24 || +mi>59 || +ss>59) return null;
+  return sgTime(+yyyy, +mm, +dd, h, +mi, +ss);
+}
+
+// Sale timestamp → epoch ms. ISO strings are instants; anything else is an old
+// toLocaleString('en-SG', { timeZone:'Asia/Singapore' }) value and is read as SGT.
+export function parseSaleTime(v){
+  if (v===undefined || v===null || v==='') return null;
+  if (typeof v==='number') return v;
+  const str=String(v).trim();
+  if (/^\d{4}-\d{2}-\d{2}T/.test(str)){ const t=Date.parse(str); return isNaN(t) ? null : t; }
+  return parseSgDateTime(str);
+}
+
+// Sales whose timestamp is not an ISO instant → [{ id, from, timestamp (ISO) | null }]
+// timestamp is null when the value can't be read at all (left untouched by the caller)
+export function timestampRepairs(sales){
+  const out=[];
+  for (const s of sales){
+    if (typeof s.timestamp==='string' && /^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/.test(s.timestamp)) continue;
+    const t=parseSaleTime(s.timestamp);
+    out.push({ id:s.id, from:s.timestamp, timestamp: t===null ? null : new Date(t).toISOString() });
+  }
+  return out;
+}
@@ -0,0 +1,74 @@
+// lib/txnid.js — transaction IDs: unique across the whole history, configurable format
+// • ID = company prefix + date part (shift date, noon → noon SGT) + separator + zero-padded counter
+//   e.g. { date:'YYMMDD', width:3, separator:'-' } → L251019-001; { date:'none', width:5 } → L00042
+// • One counter per company and date part; it never wraps (past the width it just gets longer), and any ID
+//   already used by a sale (or reserved by a sale in flight) is skipped, so a format change can't collide
+// • reserve() hands out an ID without writing anything; the counter op is committed together with the sale.
+//   release() is only for failures before that commit and before the ID was shown to anyone (e.g. the QR image
+//   couldn't be built); after it, the ID stays taken even if the sale didn't persist
+
+import { sgParts, shiftStart } from './time.js';
+import { max } from './storage.js';
+
+const p2=(n)=>String(n).padStart(2,'0');
+export const DATE_PARTS = {
+  none:     ()=>'',
+  YYMMDD:   (p)=>`${String(p.y).slice(2)}${p2(p.m)}${p2(p.d)}`,
+  YYYYMMDD: (p)=>`${p.y}${p2(p.m)}${p2(p.d)}`,
+  MMDD:     (p)=>`${p2(p.m)}${p2(p.d)}`
+};
+export const WIDTH_MIN = 3, WIDTH_MAX = 8;
+
+export function defaultTxnFormat(){ return { date:'YYMMDD', width:3, separator:'-' }; }
+
+// "date=YYMMDD width=4 sep=-" (any subset) → new format. Throws with a user-facing message.
+export function parseTxnFormat(text, base=defaultTxnFormat()){
+  const out={ ...base };
+  for (const part of String(text||'').trim().split(/\s+/).filter(Boolean)){
+    const [k, v='']=part.split('=');
+    if (k==='date'){
+      const key=Object.keys(DATE_PARTS).find(d=>d.toLowerCase()===v.toLowerCase());
+      if (!key) throw new Error(`Unknown date part “${v}”. Use ${Object.keys(DATE_PARTS).join(', ')}.`);
+      out.date=key;
+    } else if (k==='width'){
+      const n=Number(v);
+      if (!Number.isInteger(n) || n<WIDTH_MIN || n>WIDTH_MAX) throw new Error(`Width must be ${WIDTH_MIN}–${WIDTH_MAX}.`);
+      out.width=n;
+    } else if (k==='sep' || k==='separator'){
+      if (!/^[-_/]?$/.test(v)) throw new Error('Separator must be empty, -, _ or /.');
+      out.separator=v;
+    } else throw new Error(`Unknown option “${k}”. Use date=, width= and sep=.`);
+  }
+  return out;
+}
+
+export function txnDatePart(format, ms=Date.now()){ return DATE_PARTS[format.date]?.(sgParts(shiftStart(ms))) ?? ''; }
+export function formatTxnId(format, prefix, datePart, n){
+  return `${prefix}${datePart}${datePart ? format.separator : ''}${String(n).padStart(format.width,'0')}`;
+}
+export function describeTxnFormat(format, prefix='L', ms=Date.now()){
+  return `date=${format.date} width=${format.width} sep=${format.separator || '(none)'} → e.g. ${formatTxnId(format, prefix, txnDatePart(format, ms), 1)}`;
+}
+
+// data: the store's DB view (reads data.txnFormat, data.counters, data.sales); prefixOf(companyId) → prefix
+export function createTxnIds(data, prefixOf){
+  const norm=(id)=>String(id||'').toUpperCase();
+  const taken=new Set(data.sales.map(s=>norm(s.transactionId)).filter(Boolean));
+  return {
+    // → { txnId, ops (commit with the sale), release() (nothing committed or shown yet) }
+    reserve(companyId, now=Date.now()){
+      const format=data.txnFormat || defaultTxnFormat();
+      const prefix=prefixOf(companyId), datePart=txnDatePart(format, now);
+      const key=`${companyId||''}|${format.date}:${datePart}`;
+      let n=(data.counters[key]||0)+1, txnId;
+      while (taken.has(norm(txnId=formatTxnId(format, prefix, datePart, n)))) n++;
+      taken.add(norm(txnId));
+      return {
+        txnId,
+        ops:[ max(['counters', key], n) ], // applied at commit, so a later-committed lower n can't move it back
+        release(){ taken.delete(norm(txnId)); }
+      };
+    },
+    isTaken(txnId){ return taken.has(norm(txnId)); }
+  };
+}
@@ -0,0 +1,88 @@
+// test/sgqr.test.js — lib/sgqr.js against known-good PayNow payloads (run with `npm test`)
+// • The fixtures are synthetic payloads, one per PayNow layout the bot handles: a static mobile proxy, a dynamic UEN
+//   QR with amount, expiry and bill reference, and a static UEN QR with a table reference. They are not captures from
+//   any bank app. Every fixture's CRC was computed outside this codebase (Python binascii.crc_hqx, init 0xFFFF)
+// • paynowqr (an independent encoder already in dependencies) is a second CRC reference
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { tlv, crc16ccitt, parseTlv, decodeSgqr, validateSgqr, encodePayNow } from '../lib/sgqr.js';
+
+const PaynowQR=createRequire(import.meta.url)('paynowqr');
+const NOW=Date.parse('2026-10-19T04:00:00Z');
+
+const FIXTURES = {
+  'mobile-static': {
+    payload:'00020101021126380009SG.PAYNOW010100211+6591234567030115204000053037025802SG5902NA6009Singapore6304B5DB',
+    payNow:{ proxyType:'0', proxy:'+6591234567', editable:true, expiry:null, amount:null, reference:null, merchantName:'NA', pointOfInitiation:'11' },
+    encode:{ proxyType:'0', proxy:'+6591234567', merchantName:'NA' }
+  },
+  'uen-dynamic-expiry': {
+    payload:'00020101021226490009SG.PAYNOW010120210201403121W03010040820301231520400005303702540512.505802SG5917HUAJIEDAO PTE LTD6009Singapore62210117LUN-20261019-000763043D55',
+    payNow:{ proxyType:'2', proxy:'201403121W', editable:false, expiry:'20301231', amount:12.5, reference:'LUN-20261019-0007', merchantName:'HUAJIEDAO PTE LTD', pointOfInitiation:'12' },
+    encode:{ mode:'uen', uen:'201403121W', amount:12.5, expiry:'2030-12-31', reference:'LUN-20261019-0007', merchantName:'HUAJIEDAO PTE LTD' }
+  },
+  'uen-static-ref': {
+    payload:'00020101021126360009SG.PAYNOW01012020953312345K030115204000053037025802SG5911Kopi Corner6009Singapore62120108TABLE 1263047D65',
+    payNow:{ proxyType:'2', proxy:'53312345K', editable:true, expiry:null, amount:null, reference:'TABLE 12', merchantName:'Kopi Corner', pointOfInitiation:'11' },
+    encode:{ mode:'uen', uen:'53312345k', reference:'TABLE 12', merchantName:'Kopi Corner' }
+  }
+};
+
+for (const [layout, f] of Object.entries(FIXTURES)){
+  test(`${layout}: CRC matches the independently computed one`, ()=>{
+    assert.equal(crc16ccitt(f.payload.slice(0,-4)), f.payload.slice(-4));
+  });
+  test(`${layout}: decodes and validates`, ()=>{
+    const v=validateSgqr(f.payload, { now:NOW });
+    assert.deepEqual(v.errors, []);
+    assert.equal(v.qr.crcValid, true);
+    for (const [k, want] of Object.entries(f.payNow)) assert.deepEqual(v.payNow[k], want, k);
+    assert.equal(v.qr.items.map(t=>t.id+String(Buffer.byteLength(t.value)).padStart(2,'0')+t.value).join(''), f.payload);
+  });
+  test(`${layout}: encodePayNow reproduces the payload`, ()=>{
+    assert.equal(encodePayNow(f.encode), f.payload);
+  });
+  test(`${layout}: a changed character breaks the CRC`, ()=>{
+    const bad=f.payload.replace('Singapore','Singapura');
+    assert.equal(validateSgqr(bad, { now:NOW }).errors.includes('CRC mismatch'), true);
+  });
+}
+
+test('CRC agrees with paynowqr', ()=>{
+  for (const opts of [
+    { uen:'201403121W', amount:500, editable:false, expiry:'20301231', refNumber:'TQINV-10001', company:'ACME Pte Ltd.' },
+    { uen:'53312345K', amount:8.8, editable:true, company:'Kopi Corner' }
+  ]){
+    const out=new PaynowQR(opts).output();
+    assert.equal(crc16ccitt(out.slice(0,-4)), out.slice(-4));
+    assert.equal(validateSgqr(out, { now:NOW }).ok, true);
+  }
+});
+
+test('lengths count UTF-8 bytes', ()=>{
+  assert.equal(tlv('59','Café 華傑'), '5912Café 華傑');
+  // CRC from binascii.crc_hqx over the UTF-8 bytes
+  const payload='00020101021226370009SG.PAYNOW010120210201403121W0301052040000530370254048.005802SG5912Café 華傑6009Singapore630465F1';
+  assert.equal(encodePayNow({ mode:'uen', uen:'201403121W', amount:8, merchantName:'Café 華傑' }), payload);
+  const v=validateSgqr(payload, { now:NOW });
+  assert.deepEqual(v.errors, []);
+  assert.equal(v.payNow.merchantName, 'Café 華傑');
+  assert.throws(()=>tlv('59','華'.repeat(34)), /102 bytes/);
+  assert.throws(()=>parseTlv('5902華'), /splits a character/);
+});
+
+test('name, city and reference are cut to their byte limits without splitting a character', ()=>{
+  const v=validateSgqr(encodePayNow({ mode:'uen', uen:'201403121W', amount:1, merchantName:'華'.repeat(10), merchantCity:'新加坡新加坡新', reference:'R'.repeat(30) }), { now:NOW });
+  assert.deepEqual(v.errors, []);
+  assert.equal(v.payNow.merchantName, '華'.repeat(8));
+  assert.equal(v.payNow.merchantCity, '新加坡新加');
+  assert.equal(v.payNow.reference, 'R'.repeat(25));
+});
+
+test('rejects truncated and expired payloads', ()=>{
+  assert.match(validateSgqr(FIXTURES['uen-dynamic-expiry'].payload.slice(0,60)).errors[0], /truncated/);
+  assert.match(validateSgqr(FIXTURES['uen-dynamic-expiry'].payload, { now:Date.parse('2031-01-02T00:00:00Z') }).errors.join(), /expired on 20301231/);
+  assert.equal(decodeSgqr(FIXTURES['mobile-static'].payload).tags['26']['00'], 'SG.PAYNOW');
+});
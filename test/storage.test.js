@@ -0,0 +1,59 @@
+// test/storage.test.js — lib/storage.js journal driver: compaction while commits are still queued, monotonic counters, the data dir lock
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { openStore, set, max } from '../lib/storage.js';
+import { createTxnIds } from '../lib/txnid.js';
+
+test('a snapshot taken with commits still queued does not replay them on reload', async ()=>{
+  const dir=await fs.mkdtemp(path.join(os.tmpdir(), 'store-'));
+  try {
+    let store=await openStore({ dir });
+    for (let i=0;i<499;i++) await store.commit([ set(['counters','k'], i) ]);
+    // the first of these reaches the compaction threshold while the second is queued behind it
+    await Promise.all([ store.insertSale({ amount:1 }), store.insertSale({ amount:2 }) ]);
+    assert.deepEqual(store.data.sales.map(s=>s.id), [1,2]);
+    await store.flush();
+
+    // reload from snapshot + journal as a crash would leave them (no close(), which writes a fresh snapshot)
+    const reloaded=await openStore({ dir });
+    assert.deepEqual(reloaded.data.sales.map(s=>s.id), [1,2]);
+    assert.equal(reloaded.data.meta.nextSaleId, 3);
+    await reloaded.close(); await store.close();
+  } finally { await fs.rm(dir, { recursive:true, force:true }); }
+});
+
+test('TxnID counters only move forward, whatever order the reserving sales commit in', async ()=>{
+  const dir=await fs.mkdtemp(path.join(os.tmpdir(), 'store-'));
+  try {
+    const store=await openStore({ dir });
+    const ids=createTxnIds(store.data, ()=>'L'), now=Date.parse('2026-10-19T06:00:00Z');
+    const a=ids.reserve('Lunar', now), b=ids.reserve('Lunar', now);
+    assert.deepEqual([a.txnId, b.txnId], ['L261019-001', 'L261019-002']);
+    await store.commit(b.ops); await store.commit(a.ops);
+    assert.equal(store.data.counters['Lunar|YYMMDD:261019'], 2);
+    await store.commit([ max(['counters','x'], 3) ]);
+    await store.flush();
+    const reloaded=await openStore({ dir });
+    assert.deepEqual(reloaded.data.counters, { 'Lunar|YYMMDD:261019':2, x:3 });
+    await reloaded.close(); await store.close();
+  } finally { await fs.rm(dir, { recursive:true, force:true }); }
+});
+
+test('a data dir held by a live process on another host is refused; a lapsed lease is taken over', async ()=>{
+  const dir=await fs.mkdtemp(path.join(os.tmpdir(), 'store-'));
+  const lock=path.join(dir,'.lock');
+  try {
+    await fs.writeFile(lock, JSON.stringify({ host:'other-host', pid:1, at:Date.now() }));
+    await assert.rejects(openStore({ dir, lockWaitMs:0 }), /in use by pid 1 on other-host/);
+
+    await fs.writeFile(lock, JSON.stringify({ host:'other-host', pid:1, at:Date.now()-60_000 }));
+    const store=await openStore({ dir, lockWaitMs:0 });
+    assert.equal(JSON.parse(await fs.readFile(lock,'utf8')).pid, process.pid);
+    await store.close();
+    await assert.rejects(fs.access(lock));
+  } finally { await fs.rm(dir, { recursive:true, force:true }); }
+});